@@ -0,0 +1,97 @@
+// Sample bot: plays random legal moves through the bot API (bots/README.md).
+// Needs only Node 18+ (built-in fetch). Run the server, then for example
+//
+//   node bots/random-bot.js --username randy --password secret1 --computer easy
+//   node bots/random-bot.js --username randy --password secret1 --join <code>
+//   node bots/random-bot.js --username randy --password secret1
+//
+// The last one opens a game and waits for someone to join it from the lobby.
+// The account is created the first time the bot signs in.
+import { parseArgs } from 'util';
+
+const { values: options } = parseArgs({
+  options: {
+    server: { type: 'string', default: 'http://localhost:3001' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    join: { type: 'string' },
+    computer: { type: 'string' } // play the server's computer opponent at this difficulty
+  }
+});
+
+if (!options.username || !options.password) {
+  console.error('Usage: node bots/random-bot.js --username <name> --password <password> [--join <code> | --computer <difficulty>] [--server <url>]');
+  process.exit(1);
+}
+
+let token = null;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Call the bot API; errors come back as { code, message } and are thrown.
+// Going too fast (two bots playing each other, say) just means waiting a bit.
+async function call(method, path, body) {
+  const response = await fetch(`${options.server}/api/bot${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (data.code === 'RATE_LIMITED') {
+    await sleep(2000);
+    return call(method, path, body);
+  }
+  if (!response.ok) throw Object.assign(new Error(data.message), { code: data.code });
+  return data;
+}
+
+async function signIn() {
+  const credentials = { username: options.username, password: options.password };
+  try {
+    return await call('POST', '/login', credentials);
+  } catch (err) {
+    if (err.code !== 'LOGIN_FAILED') throw err;
+    return call('POST', '/register', credentials);
+  }
+}
+
+function describeResult(game) {
+  const { winnerId, reason } = game.result;
+  if (!winnerId) return `Draw (${reason})`;
+  return `${winnerId === game.playerId ? 'Won' : 'Lost'} (${reason})`;
+}
+
+async function play() {
+  token = (await signIn()).token;
+
+  let game;
+  if (options.join) {
+    game = await call('POST', `/games/${options.join}/join`);
+    console.log(`Joined game ${game.code}`);
+  } else if (options.computer) {
+    game = await call('POST', '/games', { vsComputer: true, difficulty: options.computer });
+    console.log(`Playing the computer (${options.computer}) in game ${game.code}`);
+  } else {
+    game = await call('POST', '/games', {});
+    console.log(`Opened game ${game.code}; waiting for an opponent`);
+  }
+
+  while (!game.result) {
+    if (game.yourTurn) {
+      const { fromRow, fromCol, toRow, toCol } = game.legalMoves[Math.floor(Math.random() * game.legalMoves.length)];
+      game = await call('POST', `/games/${game.code}/move`, { fromRow, fromCol, toRow, toCol });
+    } else {
+      game = await call('GET', `/games/${game.code}?wait=30`);
+    }
+  }
+  console.log(`${describeResult(game)} after ${game.history.length} moves`);
+}
+
+play().catch(err => {
+  console.error(`Bot stopped: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,8 @@
+// Sample bot script for the self-play tournament (scripts/tournament.js):
+// plays a random legal move. Its view of the game is described at the top of
+// lib/self-play.js; `random` is seeded, so seeded tournaments replay exactly.
+//
+//   node scripts/tournament.js bots/random-player.js medium --games 20
+export function chooseMove({ legalMoves, random }) {
+  return legalMoves[Math.floor(random() * legalMoves.length)];
+}
@@ -0,0 +1,180 @@
+// Player accounts
+// A username and password give a player the same identity in every game, so
+// results belong to people rather than to anonymous seats. Signing in hands
+// out a token the browser keeps, so the password is only typed once per
+// browser. Accounts are kept through a storage backend (see lib/storage.js),
+// one record per account keyed by the lowercased username:
+//
+//   { username, salt, hash, createdAt, tokens: [...], games: [...],
+//     rating, wins, losses, draws }
+//
+// The rating and win/loss/draw counts only cover rated games (lib/rating.js).
+//
+// Failures throw an Error with a message for the player and a `code`:
+// INVALID_USERNAME, INVALID_PASSWORD, USERNAME_TAKEN or LOGIN_FAILED.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { DEFAULT_RATING } from './rating.js';
+import { logger } from './logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Finished games remembered per account, newest first
+const MAX_GAMES = 50;
+
+// Browsers signed in at once per account; signing in on another drops the oldest
+const MAX_TOKENS = 10;
+
+// What is wrong with a requested username, or null if it will do
+export function checkUsername(username) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9_-]{3,20}$/.test(username)) {
+    return 'Usernames are 3-20 letters, digits, "_" or "-"';
+  }
+  return null;
+}
+
+// What is wrong with a requested password, or null if it will do
+export function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < 6 || password.length > 128) {
+    return 'Passwords are 6-128 characters';
+  }
+  return null;
+}
+
+function accountError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+async function hashPassword(password, salt) {
+  return (await scrypt(password, salt, 32)).toString('hex');
+}
+
+export function createAccounts(storage) {
+  const accounts = new Map(); // lowercased username -> record
+  const tokens = new Map(); // sign-in token -> lowercased username
+  const keyFor = username => username.toLowerCase();
+
+  // Saving happens in the background, like game saves
+  const save = (account) => {
+    storage.save(keyFor(account.username), account)
+      .catch(err => logger.error('Could not save account', { account: account.username, err }));
+  };
+
+  // Start a signed-in session for an account
+  const signIn = (account) => {
+    const token = crypto.randomBytes(24).toString('hex');
+    account.tokens.push(token);
+    tokens.set(token, keyFor(account.username));
+    for (const old of account.tokens.splice(0, account.tokens.length - MAX_TOKENS)) {
+      tokens.delete(old);
+    }
+    save(account);
+    return { username: account.username, token };
+  };
+
+  return {
+    async load() {
+      for (const account of await storage.load()) {
+        accounts.set(keyFor(account.username), account);
+        for (const token of account.tokens) tokens.set(token, keyFor(account.username));
+      }
+      return accounts.size;
+    },
+
+    // Create an account and sign it in. Throws with a message for the player
+    // if the name or password won't do.
+    async register(username, password) {
+      const usernameProblem = checkUsername(username);
+      if (usernameProblem) throw accountError('INVALID_USERNAME', usernameProblem);
+      const passwordProblem = checkPassword(password);
+      if (passwordProblem) throw accountError('INVALID_PASSWORD', passwordProblem);
+      if (accounts.has(keyFor(username))) throw accountError('USERNAME_TAKEN', 'That username is taken');
+
+      const salt = crypto.randomBytes(16).toString('hex');
+      const hash = await hashPassword(password, salt);
+      if (accounts.has(keyFor(username))) throw accountError('USERNAME_TAKEN', 'That username is taken'); // taken while hashing
+
+      const account = {
+        username,
+        salt,
+        hash,
+        createdAt: new Date().toISOString(),
+        tokens: [],
+        games: [],
+        rating: DEFAULT_RATING,
+        wins: 0,
+        losses: 0,
+        draws: 0
+      };
+      accounts.set(keyFor(username), account);
+      return signIn(account);
+    },
+
+    async login(username, password) {
+      const account = typeof username === 'string' && accounts.get(keyFor(username));
+      if (!account || typeof password !== 'string') throw accountError('LOGIN_FAILED', 'Wrong username or password');
+      const hash = await hashPassword(password, account.salt);
+      if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.hash, 'hex'))) {
+        throw accountError('LOGIN_FAILED', 'Wrong username or password');
+      }
+      return signIn(account);
+    },
+
+    // The username a sign-in token belongs to, or null
+    resume(token) {
+      const key = tokens.get(token);
+      return key ? accounts.get(key).username : null;
+    },
+
+    logout(token) {
+      const key = tokens.get(token);
+      if (!key) return;
+      tokens.delete(token);
+      const account = accounts.get(key);
+      account.tokens = account.tokens.filter(t => t !== token);
+      save(account);
+    },
+
+    // Link a finished game to an account: { code, opponent, result, reason, endedAt }
+    recordGame(username, game) {
+      const account = accounts.get(keyFor(username));
+      if (!account) return;
+      account.games = [game, ...account.games].slice(0, MAX_GAMES);
+      save(account);
+    },
+
+    // An account's rating and rated record, or null for an unknown username
+    stats(username) {
+      const account = accounts.get(keyFor(username));
+      if (!account) return null;
+      const { rating = DEFAULT_RATING, wins = 0, losses = 0, draws = 0 } = account;
+      return { username: account.username, rating, wins, losses, draws };
+    },
+
+    // Store the outcome of a rated game: the new rating, and 'win', 'loss'
+    // or 'draw'
+    recordRating(username, rating, result) {
+      const account = accounts.get(keyFor(username));
+      if (!account) return;
+      const counts = { win: 'wins', loss: 'losses', draw: 'draws' };
+      account.rating = rating;
+      account[counts[result]] = (account[counts[result]] || 0) + 1;
+      save(account);
+    },
+
+    // The best-rated players who have played at least one rated game
+    leaderboard(count = 20) {
+      return [...accounts.values()]
+        .map(account => this.stats(account.username))
+        .filter(stats => stats.wins + stats.losses + stats.draws > 0)
+        .sort((a, b) => b.rating - a.rating || a.username.localeCompare(b.username))
+        .slice(0, count);
+    },
+
+    // An account's finished games, newest first
+    recentGames(username, count = 10) {
+      const account = accounts.get(keyFor(username));
+      return account ? account.games.slice(0, count) : [];
+    }
+  };
+}
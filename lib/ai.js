@@ -0,0 +1,214 @@
+// Computer opponent
+// Picks a move from the same redacted view a human player gets: face-up pieces,
+// face-down squares with no identity, and the publicly known captured pieces.
+// The server plays the chosen move through its normal move validation.
+import {
+  PIECE_TYPES,
+  ROWS,
+  COLS,
+  createPieceSet,
+  getLegalMoves,
+  applyMove,
+  cloneBoard,
+  oppositeColor,
+  DEFAULT_RULES
+} from '../shared/banqi-rules.js';
+
+export const DIFFICULTIES = {
+  easy: 'Random legal moves',
+  medium: 'Greedy captures',
+  hard: 'Looks ahead, weighing what face-down pieces may be'
+};
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// Rough material values. The general is strong but soldiers can take it,
+// and cannons are worth more than their rank since they capture anything.
+const PIECE_VALUES = {
+  GENERAL: 40,
+  ADVISOR: 30,
+  ELEPHANT: 15,
+  CHARIOT: 10,
+  HORSE: 6,
+  CANNON: 12,
+  SOLDIER: 4
+};
+
+const WIN_SCORE = 10000;
+
+// Capturing a face-down piece (a house rule) is as likely to take one of our
+// own pieces as one of the opponent's, so it is worth nothing up front
+function pieceValue(piece) {
+  return piece.faceUp ? PIECE_VALUES[piece.type] : 0;
+}
+
+// The pieces that can still be under face-down squares: the full set minus
+// everything face-up on the board and everything already captured
+export function unrevealedPool(board, captured = []) {
+  const remaining = new Map();
+  for (const piece of createPieceSet()) {
+    const key = `${piece.color}:${piece.type}`;
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  const seen = [...captured];
+  for (const row of board) {
+    for (const piece of row) {
+      if (piece && piece.faceUp) seen.push(piece);
+    }
+  }
+  for (const piece of seen) {
+    const key = `${piece.color}:${piece.type}`;
+    if (remaining.get(key) > 0) remaining.set(key, remaining.get(key) - 1);
+  }
+
+  const pool = [];
+  for (const [key, count] of remaining) {
+    if (count === 0) continue;
+    const [color, type] = key.split(':');
+    pool.push({ color, type, rank: PIECE_TYPES[type].rank, count });
+  }
+  return pool;
+}
+
+function pickRandom(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// Material balance from `color`'s point of view
+function material(board, color) {
+  let score = 0;
+  for (let r = 0; r < ROWS; r++) {
+    for (let c = 0; c < COLS; c++) {
+      const piece = board[r][c];
+      if (!piece || !piece.faceUp) continue;
+      score += (piece.color === color ? 1 : -1) * PIECE_VALUES[piece.type];
+    }
+  }
+  return score;
+}
+
+// Value of the best capture among `moves`
+function bestCaptureValue(board, moves) {
+  let best = 0;
+  for (const move of moves) {
+    if (move.type !== 'capture') continue;
+    best = Math.max(best, pieceValue(board[move.toRow][move.toCol]));
+  }
+  return best;
+}
+
+// Static evaluation with `color` to move next: material plus part of the
+// capture it is threatening
+function evaluate(board, color, rules) {
+  const moves = getLegalMoves(board, color, rules);
+  if (moves.length === 0) return -WIN_SCORE;
+  return material(board, color) + 0.3 * bestCaptureValue(board, moves);
+}
+
+// The opponent's best reply, scored from `color`'s point of view. Flipping a
+// piece does not change material, so an opponent reveal scores as the
+// position stands. Chained captures are not followed this deep.
+function scoreAfterReply(board, color, rules) {
+  const opponent = oppositeColor(color);
+  const replies = getLegalMoves(board, opponent, rules);
+  if (replies.length === 0) return WIN_SCORE;
+
+  let worst = Infinity;
+  let canReveal = false;
+  for (const reply of replies) {
+    if (reply.type === 'reveal') {
+      canReveal = true;
+      continue;
+    }
+    worst = Math.min(worst, evaluate(applyMove(board, reply).board, color, rules));
+  }
+  if (canReveal) worst = Math.min(worst, evaluate(board, color, rules));
+  return worst;
+}
+
+// Expected score of flipping the piece at (row, col), averaged over what it
+// could turn out to be
+function scoreReveal(board, move, color, pool, rules) {
+  const total = pool.reduce((sum, p) => sum + p.count, 0);
+  if (total === 0) return scoreAfterReply(board, color, rules);
+
+  let expected = 0;
+  for (const candidate of pool) {
+    const next = cloneBoard(board);
+    next[move.toRow][move.toCol] = {
+      type: candidate.type,
+      color: candidate.color,
+      rank: candidate.rank,
+      faceUp: true
+    };
+    expected += (candidate.count / total) * scoreAfterReply(next, color, rules);
+  }
+  return expected;
+}
+
+function chooseGreedy(board, moves, random) {
+  const captures = moves.filter(m => m.type === 'capture' && board[m.toRow][m.toCol].faceUp);
+  if (captures.length === 0) return pickRandom(moves, random);
+  const value = m => pieceValue(board[m.toRow][m.toCol]);
+  const best = Math.max(...captures.map(value));
+  return pickRandom(captures.filter(m => value(m) === best), random);
+}
+
+function chooseSearch(board, moves, color, captured, rules, random) {
+  const pool = unrevealedPool(board, captured);
+  let best = [];
+  let bestScore = -Infinity;
+  for (const move of moves) {
+    const score = move.type === 'reveal'
+      ? scoreReveal(board, move, color, pool, rules)
+      : scoreAfterReply(applyMove(board, move).board, color, rules);
+    if (score > bestScore + 1e-9) {
+      best = [move];
+      bestScore = score;
+    } else if (Math.abs(score - bestScore) <= 1e-9) {
+      best.push(move);
+    }
+  }
+  return pickRandom(best, random);
+}
+
+// Whether the computer playing `color` takes a draw offer: only when it has
+// not won more material than it has lost. Both sides start with the same
+// pieces, so the captured pieces tell the material balance, hidden pieces
+// included.
+export function acceptsDraw({ color, captured = [] }) {
+  let balance = 0;
+  for (const piece of captured) {
+    balance += (piece.color === color ? -1 : 1) * PIECE_VALUES[piece.type];
+  }
+  return balance <= 0;
+}
+
+// Pick a move for `color` (null before the first reveal) on a redacted board.
+// `captured` lists the pieces taken so far; `rules` and `chain` are as in the
+// rules engine. Returns a move { fromRow, fromCol, toRow, toCol, type } or
+// null when there is none.
+export function chooseMove({
+  board,
+  color,
+  captured = [],
+  difficulty = DEFAULT_DIFFICULTY,
+  rules = DEFAULT_RULES,
+  chain = null,
+  random = Math.random
+}) {
+  const moves = getLegalMoves(board, color, rules, chain);
+  if (moves.length === 0) return null;
+
+  // Nothing is known before the first reveal, so just flip something
+  if (!color) return pickRandom(moves, random);
+
+  switch (difficulty) {
+    case 'easy':
+      return pickRandom(moves, random);
+    case 'hard':
+      return chooseSearch(board, moves, color, captured, rules, random);
+    default:
+      return chooseGreedy(board, moves, random);
+  }
+}
@@ -0,0 +1,42 @@
+// In-game chat
+// Each game keeps its messages in two channels:
+//   players     the two players' conversation, which spectators can read too
+//   spectators  spectators' talk, kept from the players until the game is
+//               over so nobody gets coached mid-game
+// A message is { from, name, text, emote, at }: the sender's player ID (null
+// for a spectator), their account name (null for a guest), the text, whether
+// it is one of the EMOTES, and when it was sent.
+
+// Quick reactions, sent by ID so only these exact texts get through
+export const EMOTES = {
+  hello: 'Hello!',
+  goodLuck: 'Good luck!',
+  nice: 'Nice move!',
+  oops: 'Oops!',
+  thinking: 'Hmm...',
+  goodGame: 'Good game!'
+};
+
+export const MAX_MESSAGE_LENGTH = 200;
+
+// Messages kept per channel; older ones are dropped
+const HISTORY_LENGTH = 100;
+
+export function createChat() {
+  return { players: [], spectators: [] };
+}
+
+// The text a chat request ({ text } or { emote }) should show, or null if it
+// has none: unknown emote, empty, or longer than MAX_MESSAGE_LENGTH
+export function messageText(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.emote !== undefined) return Object.hasOwn(EMOTES, data.emote) ? EMOTES[data.emote] : null;
+  if (typeof data.text !== 'string') return null;
+  const text = data.text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+  return text.length > 0 && text.length <= MAX_MESSAGE_LENGTH ? text : null;
+}
+
+// Add a message to one of a chat's channels
+export function addMessage(chat, channel, message) {
+  chat[channel] = [...chat[channel], message].slice(-HISTORY_LENGTH);
+}
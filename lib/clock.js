@@ -0,0 +1,70 @@
+// Game clocks
+// Pure bookkeeping for time controls; the server owns the timers and decides
+// when a flag has fallen. Times are milliseconds and `now` is passed in, so
+// nothing here reads the real clock.
+//
+// Two kinds of time control:
+//   { type: 'fischer', baseMs, incrementMs }  a bank of time per player, plus
+//                                              an increment after each move
+//   { type: 'perMove', perMoveMs }            a fresh allowance every move
+
+// Turn what a client asked for ({ baseMinutes, incrementSeconds } or
+// { secondsPerMove }) into a time control, or null for an untimed game when
+// there is no usable request
+export function parseTimeControl(request) {
+  if (!request || typeof request !== 'object') return null;
+
+  if (request.secondsPerMove !== undefined) {
+    const seconds = Number(request.secondsPerMove);
+    if (!(seconds >= 5 && seconds <= 600)) return null;
+    return { type: 'perMove', perMoveMs: seconds * 1000 };
+  }
+
+  const minutes = Number(request.baseMinutes);
+  const increment = Number(request.incrementSeconds || 0);
+  if (!(minutes > 0 && minutes <= 180) || !(increment >= 0 && increment <= 60)) return null;
+  return { type: 'fischer', baseMs: minutes * 60000, incrementMs: increment * 1000 };
+}
+
+// A stopped clock with a full allowance for each player
+export function createClock(control, playerIds) {
+  const remaining = {};
+  for (const id of playerIds) {
+    remaining[id] = control.type === 'perMove' ? control.perMoveMs : control.baseMs;
+  }
+  return { control, remaining, running: null, since: null };
+}
+
+// Time `playerId` has left at `now`, counting the turn in progress
+export function timeLeft(clock, playerId, now) {
+  const elapsed = clock.running === playerId ? now - clock.since : 0;
+  return Math.max(0, clock.remaining[playerId] - elapsed);
+}
+
+// Start `playerId`'s turn. Per-move controls start every turn afresh.
+export function startTurn(clock, playerId, now) {
+  if (clock.control.type === 'perMove') clock.remaining[playerId] = clock.control.perMoveMs;
+  clock.running = playerId;
+  clock.since = now;
+}
+
+// Stop whichever clock is running, charging it the time used
+export function stopClock(clock, now) {
+  if (!clock.running) return;
+  clock.remaining[clock.running] = timeLeft(clock, clock.running, now);
+  clock.running = null;
+  clock.since = null;
+}
+
+// Credit the Fischer increment for a completed move
+export function addIncrement(clock, playerId) {
+  if (clock.control.type === 'fischer') clock.remaining[playerId] += clock.control.incrementMs;
+}
+
+// What players are sent: everyone's time left as of `now` and whose clock
+// is running, for the browser to count down from
+export function clockSnapshot(clock, now) {
+  const remaining = {};
+  for (const id of Object.keys(clock.remaining)) remaining[id] = timeLeft(clock, id, now);
+  return { control: clock.control, remaining, running: clock.running };
+}
@@ -0,0 +1,39 @@
+// Draw rules
+// A game is drawn when a position comes up for the third time, or when a
+// move limit passes without a flip or capture. Both are counted on a game
+// state with these fields (the server's, or the headless one in
+// lib/self-play.js):
+//
+//   { board, currentPlayer, chain, turnCount, moveLimit,
+//     lastProgressTurn, positionCounts }
+//
+// where `lastProgressTurn` is the turnCount after the last flip or capture
+// and `positionCounts` maps positionKey -> times reached since then.
+import { positionKey } from '../shared/banqi-rules.js';
+
+// Plies in a row without a flip or capture before a game is drawn, unless the
+// creator picks another limit (0 turns the limit off)
+export const DEFAULT_MOVE_LIMIT = 100;
+
+// Count the position a move reached (a playMove outcome) as of ply `turn`.
+// Flips and captures can't be undone, so positions before them can't come
+// back and are forgotten.
+export function countPosition(gameState, outcome, turn) {
+  if (outcome.type !== 'move') {
+    gameState.lastProgressTurn = turn;
+    gameState.positionCounts = {};
+  }
+  const key = positionKey(outcome.board, outcome.turn, outcome.chain);
+  gameState.positionCounts[key] = (gameState.positionCounts[key] || 0) + 1;
+}
+
+// Whether the current position is drawn: 'repetition' if reached for the
+// third time, 'moveLimit' if the limit has passed without a flip or capture,
+// otherwise null
+export function getDrawReason(gameState) {
+  const key = positionKey(gameState.board, gameState.currentPlayer, gameState.chain);
+  if (gameState.positionCounts[key] >= 3) return 'repetition';
+  const quietPlies = gameState.turnCount - gameState.lastProgressTurn;
+  if (gameState.moveLimit && quietPlies >= gameState.moveLimit) return 'moveLimit';
+  return null;
+}
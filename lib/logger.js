@@ -0,0 +1,80 @@
+// Logging
+// A leveled logger for the server. Each entry has a level, a message and
+// optional fields. Game events carry the game code as `game`, which ties a
+// game's entries together in a busy log (grep for game=..., or filter the
+// JSON with jq). Configured from the environment:
+//
+//   LOG_LEVEL   debug, info (the default), warn, error or silent
+//   LOG_FORMAT  text (the default) or json, one object per line
+//
+// Whatever the level, nothing a player can't see goes in a log: no face-down
+// piece identities, and no deal seeds until the game is over.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Errors lose their message when turned into JSON, so log the message
+function plain(value) {
+  return value instanceof Error ? value.message : value;
+}
+
+function formatText(time, level, message, fields) {
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${key}=${/[\s"]/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), message, ...pairs].join(' ');
+}
+
+// Warnings and errors go to stderr, the rest to stdout
+function writeLine(line, level) {
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// `fields` are added to every entry, e.g. { game } for a game's logger;
+// `write(line, level)` and `now()` can be swapped out for tests
+export function createLogger({
+  level = 'info',
+  format = 'text',
+  fields = {},
+  write = writeLine,
+  now = () => new Date()
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level) === -1 ? LOG_LEVELS.indexOf('info') : LOG_LEVELS.indexOf(level);
+
+  const log = (entryLevel) => (message, extra = {}) => {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+    const entry = Object.fromEntries(
+      Object.entries({ ...fields, ...extra })
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, plain(value)])
+    );
+    const time = now().toISOString();
+    write(format === 'json'
+      ? JSON.stringify({ time, level: entryLevel, msg: message, ...entry })
+      : formatText(time, entryLevel, message, entry), entryLevel);
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+
+    // A logger that adds `more` to every entry
+    child(more) {
+      return createLogger({ level, format, fields: { ...fields, ...more }, write, now });
+    }
+  };
+}
+
+// `options` are passed on to createLogger
+export function createLoggerFromEnv(env = process.env, options = {}) {
+  return createLogger({
+    ...options,
+    level: (env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (env.LOG_FORMAT || 'text').toLowerCase()
+  });
+}
+
+// The server's logger
+export const logger = createLoggerFromEnv();
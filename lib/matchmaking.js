@@ -0,0 +1,56 @@
+// Matchmaking queue
+// Players waiting for a Quick Match, longest-waiting first. The queue only
+// decides who plays whom; the server creates the game. An entry looks like
+//
+//   { id, account, rating, rated, timeControl, maxRatingGap, ... }
+//
+// where `account` is the player's username (null for a guest), `timeControl`
+// is as parsed by lib/clock.js (null for untimed) and `maxRatingGap` is how far
+// the opponent's rating may be from the player's, or null for anyone. Anything
+// else in an entry is carried along untouched.
+
+// Whether two waiting players can be paired: different accounts, the same
+// kind of game (rated or casual), the same time control, and ratings within
+// both players' bands
+export function canPair(a, b) {
+  if (a.account && a.account === b.account) return false;
+  if (Boolean(a.rated) !== Boolean(b.rated)) return false;
+  if (JSON.stringify(a.timeControl || null) !== JSON.stringify(b.timeControl || null)) return false;
+  const gap = Math.abs(a.rating - b.rating);
+  return [a.maxRatingGap, b.maxRatingGap].every(max => max === null || max === undefined || gap <= max);
+}
+
+export function createMatchQueue() {
+  const waiting = [];
+
+  return {
+    // Pair a player with the longest-waiting player they can play, taking
+    // that player out of the queue and returning their entry. With no one
+    // suitable the player joins the queue and this returns null.
+    enqueue(entry) {
+      this.remove(entry.id);
+      const index = waiting.findIndex(other => canPair(entry, other));
+      if (index === -1) {
+        waiting.push(entry);
+        return null;
+      }
+      return waiting.splice(index, 1)[0];
+    },
+
+    // Take a player out of the queue; false if they weren't in it
+    remove(id) {
+      const index = waiting.findIndex(entry => entry.id === id);
+      if (index === -1) return false;
+      waiting.splice(index, 1);
+      return true;
+    },
+
+    has(id) {
+      return waiting.some(entry => entry.id === id);
+    },
+
+    get size() {
+      return waiting.length;
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// Rate limiting
+// A sliding window per key (a client address, say): at most `limit` actions
+// in any `windowMs` milliseconds. `now` can be passed in for tests. Keys with
+// nothing left in their window are dropped as it goes, so callers don't need
+// to forget clients that have gone.
+export function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map(); // key -> times of recent actions, oldest first
+  let lastSweep = 0;
+
+  return {
+    // Count an action for `key` if it is within the limit; false if not
+    allow(key, now = Date.now()) {
+      if (now - lastSweep >= windowMs) {
+        for (const [other, times] of hits) {
+          if (now - times[times.length - 1] >= windowMs) hits.delete(other);
+        }
+        lastSweep = now;
+      }
+      const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return false;
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return true;
+    },
+
+    // Whether `key` has room for another action, without counting one
+    check(key, now = Date.now()) {
+      return (hits.get(key) || []).filter(time => now - time < windowMs).length < limit;
+    },
+
+    // Drop what is known about `key`
+    forget(key) {
+      hits.delete(key);
+    }
+  };
+}
@@ -0,0 +1,21 @@
+// Elo ratings
+// Every account starts at DEFAULT_RATING. After a rated game both players'
+// ratings move by K_FACTOR times the difference between the result and the
+// result their ratings predicted, so beating a stronger player gains more.
+// Points only change hands: what one player gains the other loses.
+export const DEFAULT_RATING = 1200;
+
+const K_FACTOR = 32;
+
+// The score a player rated `rating` is expected to get against `opponentRating`
+// (1 for a certain win, 0.5 for an even match)
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// Both ratings after a game. `score` is the first player's result: 1 for a
+// win, 0.5 for a draw, 0 for a loss.
+export function rateGame(rating, opponentRating, score) {
+  const change = Math.round(K_FACTOR * (score - expectedScore(rating, opponentRating)));
+  return [rating + change, opponentRating - change];
+}
@@ -0,0 +1,187 @@
+// Headless self-play
+// Plays games between two programs with the server's rules and nothing else:
+// no sockets, no clocks, no storage. Used by scripts/tournament.js to tune the
+// computer opponent and to check rule changes for balance.
+//
+// A player is { name, chooseMove(view) }. chooseMove gets what a seated player
+// would see and returns one of view.legalMoves (or a promise of one):
+//
+//   { board, color, captured, rules, chain, legalMoves, history, random }
+//
+// `board` is redacted, `color` is null until the first reveal, and `random`
+// is a seeded generator like Math.random, so seeded games can be replayed.
+// A move that isn't legal loses the game ('illegalMove').
+import crypto from 'crypto';
+import {
+  dealGame,
+  playMove,
+  getLegalMoves,
+  getLossReason,
+  redactBoard,
+  createRandom,
+  DEFAULT_RULES
+} from '../shared/banqi-rules.js';
+import { chooseMove, DIFFICULTIES } from './ai.js';
+import { DEFAULT_MOVE_LIMIT, countPosition, getDrawReason } from './draws.js';
+
+// A game still going after this many plies is stopped and counted as a draw.
+// Only games without a move limit get anywhere near it.
+export const MAX_PLIES = 2000;
+
+// The computer opponent at one of its difficulties
+export function builtInPlayer(difficulty) {
+  if (!DIFFICULTIES[difficulty]) throw new Error(`Unknown difficulty "${difficulty}"`);
+  return {
+    name: difficulty,
+    chooseMove: view => chooseMove({ ...view, difficulty })
+  };
+}
+
+// Play one game from the deal `seed`. players[0] sits in seat 1 and players[1]
+// in seat 2; the deal picks the seat that reveals first unless `firstSeat` is
+// given. The players' random generators are seeded from `moveSeed`, by
+// default the deal's seed. Returns { seed, firstSeat, winner, reason, plies, moves, thinkMs }
+// where `winner` is the winning player's index (0 or 1) or null for a draw,
+// and `moves` / `thinkMs` are per player.
+export async function playGame({
+  players,
+  seed,
+  rules = DEFAULT_RULES,
+  moveLimit = DEFAULT_MOVE_LIMIT,
+  firstSeat = null,
+  moveSeed = seed,
+  maxPlies = MAX_PLIES
+}) {
+  const deal = dealGame(seed);
+  const state = {
+    board: deal.board,
+    currentPlayer: null,
+    chain: null,
+    turnCount: 0,
+    moveLimit,
+    lastProgressTurn: 0,
+    positionCounts: {}
+  };
+  const start = firstSeat || deal.firstSeat;
+  const randoms = [createRandom(`${moveSeed}/1`), createRandom(`${moveSeed}/2`)];
+  const captured = [];
+  const history = [];
+  const moves = [0, 0];
+  const thinkMs = [0, 0];
+  let turn = start - 1; // index of the player to move
+
+  const result = (winner, reason) => ({
+    seed,
+    firstSeat: start,
+    winner,
+    reason,
+    plies: state.turnCount,
+    moves,
+    thinkMs
+  });
+
+  while (state.turnCount < maxPlies) {
+    const view = {
+      board: redactBoard(state.board),
+      color: state.currentPlayer,
+      captured: [...captured],
+      rules,
+      chain: state.chain,
+      history: [...history],
+      random: randoms[turn]
+    };
+    view.legalMoves = getLegalMoves(view.board, view.color, rules, view.chain);
+
+    const started = performance.now();
+    const move = await players[turn].chooseMove(view);
+    thinkMs[turn] += performance.now() - started;
+    moves[turn]++;
+
+    const outcome = move && playMove(state.board, state.currentPlayer, move, rules, state.chain);
+    if (!outcome || !outcome.valid) return result(1 - turn, 'illegalMove');
+
+    const { fromRow, fromCol, toRow, toCol } = move;
+    history.push({ fromRow, fromCol, toRow, toCol, type: outcome.type, color: outcome.mover });
+    if (outcome.capturedPiece) captured.push(outcome.capturedPiece);
+    state.board = outcome.board;
+    state.chain = outcome.chain;
+    state.currentPlayer = outcome.turn;
+    state.turnCount++;
+    countPosition(state, outcome, state.turnCount);
+
+    // Checked as the server does: the player about to move may have lost
+    const lossReason = !outcome.chain && getLossReason(state.board, outcome.turn, rules);
+    if (lossReason) return result(turn, lossReason);
+    const drawReason = getDrawReason(state);
+    if (drawReason) return result(null, drawReason);
+
+    if (!outcome.chain) turn = 1 - turn;
+  }
+  return result(null, 'maxPlies');
+}
+
+// Play `games` games between two players. Each deal is played twice with the
+// players swapping seats, so each gets every deal's first reveal once and
+// neither gets the luckier deals. Deals come from `${seed}-1`, `${seed}-2`,
+// ..., or from a random seed without one; each game seeds the players' own
+// randomness afresh, so a deal's two games don't simply mirror each other.
+// `onGame(result, index)` is called after each game. Returns every game's
+// result, in order.
+export async function runTournament({ players, games, seed = null, rules, moveLimit, onGame = () => {} }) {
+  const base = seed === null ? crypto.randomUUID() : seed;
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    const swapped = i % 2 === 1;
+    const game = await playGame({
+      players: swapped ? [players[1], players[0]] : players,
+      seed: `${base}-${Math.floor(i / 2) + 1}`,
+      moveSeed: `${base}/${i + 1}`,
+      rules,
+      moveLimit
+    });
+    const result = swapped ? swapResult(game) : game;
+    results.push(result);
+    onGame(result, i);
+  }
+  return results;
+}
+
+// A game's result with the players given back in tournament order
+function swapResult(game) {
+  return {
+    ...game,
+    winner: game.winner === null ? null : 1 - game.winner,
+    moves: [game.moves[1], game.moves[0]],
+    thinkMs: [game.thinkMs[1], game.thinkMs[0]]
+  };
+}
+
+// Totals for a list of results: { games, wins: [a, b], draws, reasons,
+// averagePlies, averageMoveMs: [a, b] }, where `reasons` counts how games
+// ended ('noPieces', 'moveLimit', ...)
+export function summarize(results) {
+  const wins = [0, 0];
+  const moves = [0, 0];
+  const thinkMs = [0, 0];
+  const reasons = {};
+  let draws = 0;
+  let plies = 0;
+  for (const result of results) {
+    if (result.winner === null) draws++;
+    else wins[result.winner]++;
+    reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+    plies += result.plies;
+    for (const i of [0, 1]) {
+      moves[i] += result.moves[i];
+      thinkMs[i] += result.thinkMs[i];
+    }
+  }
+  return {
+    games: results.length,
+    wins,
+    draws,
+    reasons,
+    averagePlies: results.length ? plies / results.length : 0,
+    averageMoveMs: [0, 1].map(i => (moves[i] ? thinkMs[i] / moves[i] : 0))
+  };
+}
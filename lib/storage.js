@@ -0,0 +1,90 @@
+// Game storage
+// Keeps a record of every active game so a server restart or crash doesn't
+// wipe running matches. A backend stores whole records keyed by game code:
+//
+//   load()              -> Promise<record[]>  every stored game
+//   save(code, record)  -> Promise            create or replace a game
+//   remove(code)        -> Promise            forget a game
+//
+// Records are plain JSON; what goes in them is up to the server.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Nothing survives a restart. Useful for tests and throwaway servers.
+export function createMemoryStorage() {
+  const records = new Map();
+  return {
+    async load() {
+      return [...records.values()].map(record => JSON.parse(JSON.stringify(record)));
+    },
+    async save(code, record) {
+      records.set(code, JSON.parse(JSON.stringify(record)));
+    },
+    async remove(code) {
+      records.delete(code);
+    }
+  };
+}
+
+// One JSON file per game in `dir`. Each file is written to a temporary name
+// and renamed into place, so a crash mid-write never leaves half a game, and
+// writes for the same game are queued so an older save can't land last.
+export function createFileStorage(dir) {
+  const queues = new Map();
+  const fileFor = code => path.join(dir, `${encodeURIComponent(code)}.json`);
+
+  // Run `task` after whatever is already queued for this game
+  const enqueue = (code, task) => {
+    const previous = queues.get(code) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(code, next);
+    next.finally(() => {
+      if (queues.get(code) === next) queues.delete(code);
+    }).catch(() => {});
+    return next;
+  };
+
+  return {
+    async load() {
+      await fs.mkdir(dir, { recursive: true });
+      const records = [];
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          records.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')));
+        } catch (err) {
+          logger.warn('Skipping unreadable file', { file: path.join(dir, name), err });
+        }
+      }
+      return records;
+    },
+    save(code, record) {
+      const data = JSON.stringify(record);
+      return enqueue(code, async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = fileFor(code);
+        await fs.writeFile(`${file}.tmp`, data);
+        await fs.rename(`${file}.tmp`, file);
+      });
+    },
+    remove(code) {
+      return enqueue(code, () => fs.rm(fileFor(code), { force: true }));
+    }
+  };
+}
+
+// Pick a backend from the environment:
+//   GAME_STORAGE=file (default)  files under GAME_DATA_DIR (default ./data/games)
+//   GAME_STORAGE=memory          no persistence
+// Other kinds of record get their own directory: `dirVariable` names the
+// environment variable that sets it and `defaultDir` is used without one.
+export function createStorageFromEnv(env = process.env, {
+  dirVariable = 'GAME_DATA_DIR',
+  defaultDir = path.join('data', 'games')
+} = {}) {
+  const kind = env.GAME_STORAGE || 'file';
+  if (kind === 'memory') return createMemoryStorage();
+  if (kind === 'file') return createFileStorage(env[dirVariable] || defaultDir);
+  throw new Error(`Unknown GAME_STORAGE "${kind}" (expected "file" or "memory")`);
+}
@@ -0,0 +1,144 @@
+// Socket event payloads
+// Every event a client may send has a schema here, and the server checks each
+// payload before the event's handler runs, so handlers can count on field
+// types and ranges (board coordinates, say). Schemas only check shape: whether
+// a seed or a move limit is usable is still up to the handler, which falls back
+// to a default as before. Fields a schema doesn't list are ignored.
+//
+// A check takes a value and the field's name, and returns what is wrong with
+// the value or null if it will do.
+import { ROWS, COLS } from '../shared/banqi-rules.js';
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// How a field is named in messages; the payload itself has no name
+const label = name => name || 'the request';
+
+function integer(min, max) {
+  return (value, name) => (Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `${label(name)} must be a whole number from ${min} to ${max}`);
+}
+
+function number(min, max) {
+  return (value, name) => (typeof value === 'number' && value >= min && value <= max
+    ? null
+    : `${label(name)} must be a number from ${min} to ${max}`);
+}
+
+function string(maxLength, pattern = null) {
+  return (value, name) => {
+    if (typeof value !== 'string' || value.length > maxLength) {
+      return `${label(name)} must be text of at most ${maxLength} characters`;
+    }
+    if (pattern && !pattern.test(value)) return `${label(name)} is not in the right format`;
+    return null;
+  };
+}
+
+const boolean = (value, name) => (typeof value === 'boolean' ? null : `${label(name)} must be true or false`);
+
+// The field may be left out (undefined or null)
+function optional(check) {
+  return (value, name) => (value === undefined || value === null ? null : check(value, name));
+}
+
+// Either of two checks will do; the first one's complaint is reported
+function either(first, second) {
+  return (value, name) => (second(value, name) === null ? null : first(value, name));
+}
+
+function object(fields) {
+  return (value, name) => {
+    if (!isPlainObject(value)) return `${label(name)} must be an object`;
+    for (const [field, check] of Object.entries(fields)) {
+      const problem = check(value[field], name ? `${name}.${field}` : field);
+      if (problem) return problem;
+    }
+    return null;
+  };
+}
+
+// An object of on/off switches, like a set of house rules
+function switches(maxKeys) {
+  return (value, name) => {
+    if (!isPlainObject(value) || Object.keys(value).length > maxKeys) {
+      return `${label(name)} must be an object of at most ${maxKeys} switches`;
+    }
+    const key = Object.keys(value).find(key => typeof value[key] !== 'boolean');
+    return key === undefined ? null : `${name ? `${name}.${key}` : key} must be true or false`;
+  };
+}
+
+const gameCode = string(32, /^[A-Za-z0-9-]+$/);
+const token = string(128);
+const row = integer(0, ROWS - 1);
+const col = integer(0, COLS - 1);
+
+// Events sent without a payload; anything sent along is ignored
+const none = optional(object({}));
+
+// A game code on its own, or { code }
+const codeRequest = either(object({ code: gameCode, gameType: optional(string(20)) }), gameCode);
+
+const timeControl = optional(object({
+  baseMinutes: optional(number(0, 1000)),
+  incrementSeconds: optional(number(0, 1000)),
+  secondsPerMove: optional(number(0, 10000))
+}));
+
+// What createGame and importGame share
+const gameOptions = {
+  gameType: optional(string(20)),
+  vsComputer: optional(boolean),
+  difficulty: optional(string(20)),
+  timeControl,
+  rules: optional(switches(20)),
+  moveLimit: optional(integer(0, 1000)),
+  rated: optional(boolean)
+};
+
+const credentials = object({ username: string(64), password: string(256) });
+
+export const EVENT_SCHEMAS = {
+  register: credentials,
+  login: credentials,
+  resumeAccount: object({ token }),
+  logout: object({ token }),
+  createGame: object({ ...gameOptions, seed: optional(either(string(64), number(-1e15, 1e15))) }),
+  importGame: object({ ...gameOptions, text: string(100000) }),
+  joinGame: codeRequest,
+  joinQueue: object({
+    timeControl,
+    rated: optional(boolean),
+    maxRatingGap: optional(integer(0, 5000))
+  }),
+  leaveQueue: none,
+  rejoinGame: object({ code: gameCode, token }),
+  syncGame: none,
+  spectateGame: codeRequest,
+  move: object({ fromRow: row, fromCol: col, toRow: row, toCol: col, gameType: optional(string(20)) }),
+  requestUndo: none,
+  respondUndo: object({ accept: boolean }),
+  offerDraw: none,
+  acceptDraw: none,
+  declineDraw: none,
+  exportGame: none,
+  resign: none,
+  requestRematch: none,
+  acceptRematch: none,
+  declineRematch: none,
+  chatMessage: object({ text: optional(string(2000)), emote: optional(string(32)) }),
+  leaveGame: none,
+  getAvailableGames: none
+};
+
+// What is wrong with an event and its payload, as an error for the client
+// ({ code, message }), or null if the handler can take it
+export function validatePayload(event, data) {
+  if (!Object.hasOwn(EVENT_SCHEMAS, event)) {
+    return { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}"` };
+  }
+  const problem = EVENT_SCHEMAS[event](data, '');
+  return problem ? { code: 'INVALID_REQUEST', message: `Invalid ${event} request: ${problem}` } : null;
+}
@@ -1,29 +1,104 @@
 // Banqi Game Client with React
 // This file provides a React-based UI integrated with socket.io for multiplayer functionality
 
-const { useState, useEffect, useRef } = React;
-
-// Piece type information
-const pieceTypes = {
-  'GENERAL': { name: 'General', rank: 7, canCaptureGeneral: false },
-  'ADVISOR': { name: 'Advisor', rank: 6, canCaptureGeneral: true },
-  'ELEPHANT': { name: 'Elephant', rank: 5, canCaptureGeneral: true },
-  'CHARIOT': { name: 'Chariot', rank: 4, canCaptureGeneral: true },
-  'HORSE': { name: 'Horse', rank: 3, canCaptureGeneral: true },
-  'SOLDIER': { name: 'Soldier', rank: 1, canCaptureGeneral: true },
-  'CANNON': { name: 'Cannon', rank: 2, canCaptureGeneral: true, isSpecial: true },
+const { useState, useEffect, useRef, useMemo } = React;
+
+// Move rules come from the shared engine (shared/banqi-rules.js), loaded as a
+// module by index.html, so highlighting matches the server's validation
+const { getPieceMoves, squareName, playMove, RULE_VARIANTS, DEFAULT_RULES } = window.BanqiRules;
+const { parseGame } = window.BanqiNotation;
+
+// sessionStorage key for the seat token of the game this tab is playing, so a
+// refresh can rejoin it. sessionStorage is per tab, so other tabs don't take
+// over the seat.
+const SESSION_KEY = 'banqiSession';
+
+// localStorage key for the account sign-in token, shared by every tab
+const ACCOUNT_KEY = 'banqiAccount';
+
+// Debug logging to the browser console, off unless the page is opened with
+// ?debug or localStorage.banqiDebug is set to 'on' (which lasts across visits)
+const DEBUG = new URLSearchParams(window.location.search).has('debug') || localStorage.getItem('banqiDebug') === 'on';
+const debugLog = (...args) => {
+  if (DEBUG) console.log(...args);
 };
 
+// Time between moves when a replay plays itself
+const REPLAY_STEP_MS = 1000;
+
+// Computer opponent levels, matching DIFFICULTIES in lib/ai.js
+const COMPUTER_LEVELS = [
+  { id: 'easy', name: 'Easy', description: 'plays random legal moves' },
+  { id: 'medium', name: 'Medium', description: 'grabs the best capture it can see' },
+  { id: 'hard', name: 'Hard', description: 'looks ahead and reasons about face-down pieces' }
+];
+
+// Time controls offered for new games; `request` is what createGame is sent
+// (see parseTimeControl in lib/clock.js)
+const TIME_CONTROLS = [
+  { id: 'untimed', name: 'Untimed', request: null },
+  { id: '3+2', name: '3 min + 2 s per move', request: { baseMinutes: 3, incrementSeconds: 2 } },
+  { id: '5+0', name: '5 min', request: { baseMinutes: 5, incrementSeconds: 0 } },
+  { id: '10+5', name: '10 min + 5 s per move', request: { baseMinutes: 10, incrementSeconds: 5 } },
+  { id: '30s', name: '30 s for each move', request: { secondsPerMove: 30 } }
+];
+
+// How long a game may go without a flip or capture before it is drawn, in
+// plies (one player's move each)
+const MOVE_LIMITS = [
+  { plies: 40, name: '20 moves each' },
+  { plies: 100, name: '50 moves each' },
+  { plies: 200, name: '100 moves each' },
+  { plies: 0, name: 'Never' }
+];
+
+// How far an opponent's rating may be from ours in a Quick Match
+const RATING_GAPS = [
+  { gap: 0, name: 'Anyone' },
+  { gap: 100, name: 'Within 100 points' },
+  { gap: 200, name: 'Within 200 points' },
+  { gap: 400, name: 'Within 400 points' }
+];
+
+// Quick reactions, matching EMOTES in lib/chat.js; the server sends the text
+const EMOTES = [
+  { id: 'hello', text: 'Hello!' },
+  { id: 'goodLuck', text: 'Good luck!' },
+  { id: 'nice', text: 'Nice move!' },
+  { id: 'oops', text: 'Oops!' },
+  { id: 'thinking', text: 'Hmm...' },
+  { id: 'goodGame', text: 'Good game!' }
+];
+
+// Longest chat message the server accepts (MAX_MESSAGE_LENGTH in lib/chat.js)
+const MAX_CHAT_LENGTH = 200;
+
 // Main App Component
 function App() {
-  const [view, setView] = useState('lobby'); // 'lobby', 'create', 'join', 'game'
+  const [view, setView] = useState('lobby'); // 'lobby', 'quickMatch', 'create', 'join', 'computer', 'load', 'replay', 'game'
   const [gameCode, setGameCode] = useState('');
   const [inputCode, setInputCode] = useState('');
+  const [seedInput, setSeedInput] = useState(''); // optional seed for a reproducible deal
   const [isConnected, setIsConnected] = useState(false);
   const [gameStarted, setGameStarted] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [isCreator, setIsCreator] = useState(false);
   const [availableGames, setAvailableGames] = useState([]);
+  const [difficulty, setDifficulty] = useState('medium');
+  const [computerGame, setComputerGame] = useState(null); // { difficulty } when playing the computer
+  const [playerId, setPlayerId] = useState(null); // our seat's ID, as used in playerTurn
+  const [gameText, setGameText] = useState(''); // a game record to load, in Banqi notation
+  const [replayGame, setReplayGame] = useState(null); // { initialBoard, moves } of a loaded game to watch
+  const [spectating, setSpectating] = useState(false); // watching a game without a seat
+  const [timeControlId, setTimeControlId] = useState('untimed');
+  const [moveLimit, setMoveLimit] = useState(100);
+  const [rules, setRules] = useState(DEFAULT_RULES); // house rules for the next game we create
+  const [gameRules, setGameRules] = useState(null); // the rules of the game we are in
+  const [account, setAccount] = useState(null); // { username, token, rating, games } once signed in
+  const [rated, setRated] = useState(false); // whether the next game we create is rated
+  const [gameRated, setGameRated] = useState(false); // whether the game we are in is rated
+  const [ratingGap, setRatingGap] = useState(0); // Quick Match rating band, 0 for anyone
+  const [queue, setQueue] = useState(null); // { waiting } while waiting for a Quick Match
 
   const socket = useRef(null);
 
@@ -35,40 +110,117 @@ function App() {
     // Set up event listeners
     socket.current.on('connect', () => {
       setIsConnected(true);
-      console.log('Connected to server:', socket.current.id);
+      debugLog('Connected to server:', socket.current.id);
+
+      // Sign back in before anything else, so a game we create or join is ours
+      const token = localStorage.getItem(ACCOUNT_KEY);
+      if (token) {
+        socket.current.emit('resumeAccount', { token });
+      }
+
+      // Take our seat back if this tab was in a game before a refresh or drop
+      const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+      if (saved) {
+        socket.current.emit('rejoinGame', saved);
+      }
+    });
+
+    socket.current.on('accountReady', (data) => {
+      localStorage.setItem(ACCOUNT_KEY, data.token);
+      setAccount(data);
+      setErrorMessage('');
+    });
+
+    // Errors come as { code, message }; the message is for the player
+    socket.current.on('accountError', (error) => {
+      localStorage.removeItem(ACCOUNT_KEY);
+      setAccount(null);
+      setErrorMessage(error.message);
     });
 
     socket.current.on('disconnect', () => {
       setIsConnected(false);
-      console.log('Disconnected from server');
+      setQueue(null); // the server forgets queued players who drop
+      debugLog('Disconnected from server');
+    });
+
+    socket.current.on('queueJoined', (data) => {
+      setQueue(data);
+      setErrorMessage('');
+    });
+
+    socket.current.on('queueLeft', () => {
+      setQueue(null);
     });
 
     socket.current.on('gameCreated', (data) => {
-      console.log('Game created:', data);
+      setQueue(null);
+      setGameRules(data.rules || DEFAULT_RULES);
+      setGameRated(Boolean(data.rated));
+      debugLog('Game created:', data);
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify({ code: data.gameCode, token: data.sessionToken }));
+      setPlayerId(data.playerId);
       setGameCode(data.gameCode);
       setIsCreator(true);
+      setComputerGame(data.vsComputer ? { difficulty: data.difficulty } : null);
       setView('game');
     });
 
     socket.current.on('gameJoined', (data) => {
-      console.log('Game joined:', data);
+      setQueue(null);
+      setGameRules(data.rules || DEFAULT_RULES);
+      setGameRated(Boolean(data.rated));
+      debugLog('Game joined:', data);
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify({ code: data.gameCode, token: data.sessionToken }));
+      setPlayerId(data.playerId);
       setGameCode(data.gameCode);
       setIsCreator(false);
+      setComputerGame(null);
       setView('game');
     });
 
-    socket.current.on('error', (message) => {
-      setErrorMessage(message);
-      console.error('Game error:', message);
+    socket.current.on('gameRejoined', (data) => {
+      setGameRules(data.rules || DEFAULT_RULES);
+      setGameRated(Boolean(data.rated));
+      debugLog('Game rejoined:', data);
+      setPlayerId(data.playerId);
+      setGameCode(data.gameCode);
+      setIsCreator(data.playerNumber === 1);
+      setComputerGame(data.vsComputer ? { difficulty: data.difficulty } : null);
+      setView('game');
+    });
+
+    socket.current.on('spectating', (data) => {
+      debugLog('Watching game:', data);
+      setGameRules(data.rules || DEFAULT_RULES);
+      setGameRated(Boolean(data.rated));
+      setPlayerId(null);
+      setGameCode(data.gameCode);
+      setIsCreator(false);
+      setSpectating(true);
+      setComputerGame(data.vsComputer ? { difficulty: data.difficulty } : null);
+      setView('game');
+    });
+
+    socket.current.on('rejoinFailed', (error) => {
+      debugLog('Could not rejoin:', error.code);
+      sessionStorage.removeItem(SESSION_KEY);
+      setView(current => (current === 'game' ? 'lobby' : current));
+      setErrorMessage(error.message);
+    });
+
+    socket.current.on('error', (error) => {
+      setErrorMessage(error.message);
+      console.error('Game error:', error.code, error.message);
     });
 
     socket.current.on('start', (data) => {
-      console.log('Game started:', data);
+      debugLog('Game started:', data);
       setGameStarted(true);
     });
 
     socket.current.on('availableGames', (games) => {
-      console.log('Available games:', games);
+      debugLog('Available games:', games);
       setAvailableGames(games);
     });
 
@@ -85,9 +237,64 @@ function App() {
     socket.current.emit('getAvailableGames');
   };
 
+  const timeControl = () => TIME_CONTROLS.find(tc => tc.id === timeControlId).request;
+
   // Create a new game
   const createGame = () => {
-    socket.current.emit('createGame', { gameType: 'banqi' });
+    socket.current.emit('createGame', {
+      gameType: 'banqi',
+      seed: rated && account ? undefined : seedInput || undefined, // rated games get a random deal
+      timeControl: timeControl(),
+      rules,
+      moveLimit,
+      rated: rated && Boolean(account)
+    });
+  };
+
+  // Start a game against the server's computer opponent
+  const createComputerGame = () => {
+    socket.current.emit('createGame', { gameType: 'banqi', vsComputer: true, difficulty, timeControl: timeControl(), rules, moveLimit });
+  };
+
+  // Wait for the next player who wants the same kind of game
+  const findMatch = () => {
+    socket.current.emit('joinQueue', {
+      timeControl: timeControl(),
+      rated: rated && Boolean(account),
+      maxRatingGap: ratingGap || undefined
+    });
+  };
+
+  const cancelMatch = () => {
+    socket.current.emit('leaveQueue');
+  };
+
+  // Carry on from a saved game record, against the computer or a friend
+  const loadGame = (vsComputer) => {
+    if (!gameText.trim()) {
+      setErrorMessage('Choose a game file or paste a game first');
+      return;
+    }
+    setErrorMessage('');
+    socket.current.emit('importGame', { gameType: 'banqi', text: gameText, vsComputer, difficulty, timeControl: timeControl(), moveLimit });
+  };
+
+  // Watch a saved game record instead of playing on from it
+  const watchGame = () => {
+    try {
+      const { initialBoard, moves, rules } = parseGame(gameText);
+      setReplayGame({ initialBoard, moves, rules });
+      setErrorMessage('');
+      setView('replay');
+    } catch (err) {
+      setErrorMessage(`Could not read that game: ${err.message}`);
+    }
+  };
+
+  // Read a chosen game file into the text box
+  const readGameFile = (e) => {
+    const file = e.target.files[0];
+    if (file) file.text().then(setGameText);
   };
 
   // Join an existing game
@@ -100,19 +307,43 @@ function App() {
     }
   };
 
-  // Reset game
-  const resetGame = () => {
-    socket.current.emit('reset', { gameType: 'banqi' });
+  // Watch a game without taking a seat
+  const spectateGame = (code) => {
+    if (code) {
+      socket.current.emit('spectateGame', { code, gameType: 'banqi' });
+      setErrorMessage('');
+    } else {
+      setErrorMessage('Please enter a game code');
+    }
+  };
+
+  // Sign in to an account, or create it first when `isNew`
+  const signIn = (username, password, isNew) => {
+    socket.current.emit(isNew ? 'register' : 'login', { username, password });
+  };
+
+  const signOut = () => {
+    socket.current.emit('logout', { token: account.token });
+    localStorage.removeItem(ACCOUNT_KEY);
+    setAccount(null);
   };
 
   // Return to lobby
   const returnToLobby = () => {
+    socket.current.emit('leaveGame');
+    sessionStorage.removeItem(SESSION_KEY);
     setView('lobby');
     setGameCode('');
     setInputCode('');
     setGameStarted(false);
     setErrorMessage('');
     setIsCreator(false);
+    setComputerGame(null);
+    setPlayerId(null);
+    setSpectating(false);
+
+    // Fetch the account again for its list of recent games
+    if (account) socket.current.emit('resumeAccount', { token: account.token });
   };
 
   // Render based on current view
@@ -121,7 +352,22 @@ function App() {
       return (
         <div className="flex flex-col items-center justify-center min-h-screen p-4">
           <h1 className="text-4xl font-bold mb-8 text-amber-900">Banqi Game</h1>
+          {errorMessage && (
+            <div className="text-red-600 mb-4">{errorMessage}</div>
+          )}
+          <div className="mb-6 w-full max-w-md">
+            <AccountPanel account={account} onSignIn={signIn} onSignOut={signOut} />
+          </div>
           <div className="flex flex-col gap-4 w-full max-w-md">
+            <button
+              onClick={() => {
+                setView('quickMatch');
+                setErrorMessage('');
+              }}
+              className="py-3 px-6 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition"
+            >
+              Quick Match
+            </button>
             <button
               onClick={() => setView('create')}
               className="py-3 px-6 bg-amber-600 text-white font-bold rounded-lg hover:bg-amber-700 transition"
@@ -137,7 +383,198 @@ function App() {
             >
               Join Game
             </button>
+            <button
+              onClick={() => setView('computer')}
+              className="py-3 px-6 bg-amber-400 text-amber-950 font-bold rounded-lg hover:bg-amber-500 transition"
+            >
+              Play vs Computer
+            </button>
+            <button
+              onClick={() => {
+                setView('load');
+                setErrorMessage('');
+              }}
+              className="py-3 px-6 bg-amber-200 text-amber-950 font-bold rounded-lg hover:bg-amber-300 transition"
+            >
+              Load Game
+            </button>
+          </div>
+          <div className="mt-6 w-full max-w-md">
+            <Leaderboard account={account} />
+          </div>
+        </div>
+      );
+
+    case 'load':
+      return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4">
+          <h1 className="text-3xl font-bold mb-6 text-amber-900">Load Game</h1>
+          <div className="mb-4 w-full max-w-md">
+            <input
+              type="file"
+              accept=".txt,text/plain"
+              onChange={readGameFile}
+              className="mb-2 w-full text-sm"
+            />
+            <textarea
+              value={gameText}
+              onChange={(e) => setGameText(e.target.value)}
+              placeholder="...or paste a game here"
+              rows={8}
+              className="w-full p-2 border border-gray-300 rounded font-mono text-xs"
+            />
+          </div>
+          <div className="mb-4 w-full max-w-md">
+            <TimeControlPicker value={timeControlId} onChange={setTimeControlId} />
+            <MoveLimitPicker value={moveLimit} onChange={setMoveLimit} />
+          </div>
+          {errorMessage && (
+            <div className="text-red-600 mb-4">{errorMessage}</div>
+          )}
+          <div className="flex gap-4 mb-4">
+            <button
+              onClick={() => loadGame(false)}
+              className="py-3 px-6 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition"
+            >
+              Continue with a Friend
+            </button>
+            <button
+              onClick={() => loadGame(true)}
+              className="py-3 px-6 bg-amber-600 text-white font-bold rounded-lg hover:bg-amber-700 transition"
+            >
+              Continue vs Computer
+            </button>
+            <button
+              onClick={watchGame}
+              className="py-3 px-6 bg-amber-400 text-amber-950 font-bold rounded-lg hover:bg-amber-500 transition"
+            >
+              Watch Replay
+            </button>
+          </div>
+          <button
+            onClick={() => setView('lobby')}
+            className="py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600 transition"
+          >
+            Back
+          </button>
+        </div>
+      );
+
+    case 'replay':
+      return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4">
+          <h1 className="text-3xl font-bold mb-6 text-amber-900">Replay</h1>
+          <ReplayViewer
+            initialBoard={replayGame.initialBoard}
+            moves={replayGame.moves}
+            rules={replayGame.rules}
+            onClose={() => setView('load')}
+          />
+        </div>
+      );
+
+    case 'computer':
+      return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4">
+          <h1 className="text-3xl font-bold mb-6 text-amber-900">Play vs Computer</h1>
+          <div className="mb-4 w-full max-w-md flex flex-col gap-2">
+            {COMPUTER_LEVELS.map((level) => (
+              <label
+                key={level.id}
+                className={`p-3 border rounded-lg cursor-pointer ${difficulty === level.id ? 'border-amber-600 bg-amber-100' : 'border-gray-300 bg-white'}`}
+              >
+                <input
+                  type="radio"
+                  name="difficulty"
+                  value={level.id}
+                  checked={difficulty === level.id}
+                  onChange={() => setDifficulty(level.id)}
+                  className="mr-2"
+                />
+                <span className="font-semibold">{level.name}</span>
+                <span className="text-sm text-gray-600"> - {level.description}</span>
+              </label>
+            ))}
+          </div>
+          <div className="mb-4 w-full max-w-md">
+            <TimeControlPicker value={timeControlId} onChange={setTimeControlId} />
+            <MoveLimitPicker value={moveLimit} onChange={setMoveLimit} />
+          </div>
+          <div className="mb-4 w-full max-w-md">
+            <RulesPicker value={rules} onChange={setRules} />
           </div>
+          <button
+            onClick={createComputerGame}
+            className="py-3 px-6 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition mb-4"
+          >
+            Start Game
+          </button>
+          <button
+            onClick={() => setView('lobby')}
+            className="py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600 transition"
+          >
+            Back
+          </button>
+        </div>
+      );
+
+    case 'quickMatch':
+      return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4">
+          <h1 className="text-3xl font-bold mb-6 text-amber-900">Quick Match</h1>
+          {errorMessage && (
+            <div className="text-red-600 mb-4">{errorMessage}</div>
+          )}
+          {queue ? (
+            <div className="mb-4 p-4 w-full max-w-md bg-white rounded-lg shadow text-center text-amber-900">
+              <p className="font-semibold">Looking for an opponent...</p>
+              <p className="text-sm text-gray-600">
+                {queue.waiting === 1 ? 'You are the only player waiting.' : `${queue.waiting} players waiting.`}
+              </p>
+              <button
+                onClick={cancelMatch}
+                className="mt-3 py-2 px-4 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className="mb-4 w-full max-w-md">
+                <TimeControlPicker value={timeControlId} onChange={setTimeControlId} />
+              </div>
+              <div className="mb-4 w-full max-w-md">
+                <RatedToggle account={account} value={rated} onChange={setRated} />
+              </div>
+              <label className="mb-4 w-full max-w-md flex items-center gap-2 text-amber-900">
+                <span className="font-semibold">Opponent</span>
+                <select
+                  value={ratingGap}
+                  onChange={(e) => setRatingGap(Number(e.target.value))}
+                  className="flex-1 p-2 border border-gray-300 rounded bg-white"
+                >
+                  {RATING_GAPS.map((option) => (
+                    <option key={option.gap} value={option.gap}>{option.name}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={findMatch}
+                className="py-3 px-6 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition mb-4"
+              >
+                Find Opponent
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => {
+              if (queue) cancelMatch();
+              setView('lobby');
+            }}
+            className="py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600 transition"
+          >
+            Back
+          </button>
         </div>
       );
 
@@ -145,6 +582,27 @@ function App() {
       return (
         <div className="flex flex-col items-center justify-center min-h-screen p-4">
           <h1 className="text-3xl font-bold mb-6 text-amber-900">Create New Game</h1>
+          {!(rated && account) && (
+            <div className="mb-4 w-full max-w-md">
+              <input
+                type="text"
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value)}
+                placeholder="Seed (optional, for a repeatable deal)"
+                className="w-full p-2 border border-gray-300 rounded"
+              />
+            </div>
+          )}
+          <div className="mb-4 w-full max-w-md">
+            <TimeControlPicker value={timeControlId} onChange={setTimeControlId} />
+            <MoveLimitPicker value={moveLimit} onChange={setMoveLimit} />
+          </div>
+          <div className="mb-4 w-full max-w-md">
+            <RulesPicker value={rules} onChange={setRules} />
+          </div>
+          <div className="mb-4 w-full max-w-md">
+            <RatedToggle account={account} value={rated} onChange={setRated} />
+          </div>
           <button
             onClick={createGame}
             className="py-3 px-6 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition mb-4"
@@ -173,12 +631,20 @@ function App() {
               placeholder="Enter game code"
               className="w-full p-2 border border-gray-300 rounded mb-2"
             />
-            <button
-              onClick={joinGame}
-              className="w-full py-2 px-4 bg-amber-600 text-white font-bold rounded hover:bg-amber-700 transition"
-            >
-              Join
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={joinGame}
+                className="flex-1 py-2 px-4 bg-amber-600 text-white font-bold rounded hover:bg-amber-700 transition"
+              >
+                Join
+              </button>
+              <button
+                onClick={() => spectateGame(inputCode)}
+                className="flex-1 py-2 px-4 bg-blue-500 text-white font-bold rounded hover:bg-blue-600 transition"
+              >
+                Watch
+              </button>
+            </div>
           </div>
           
           {errorMessage && (
@@ -200,16 +666,38 @@ function App() {
               <ul className="border rounded divide-y">
                 {availableGames.map((game) => (
                   <li key={game.code} className="p-2 flex justify-between items-center hover:bg-amber-50">
-                    <span>{game.code}</span>
-                    <button
-                      onClick={() => {
-                        setInputCode(game.code);
-                        joinGame();
-                      }}
-                      className="py-1 px-3 bg-amber-500 text-white text-sm rounded hover:bg-amber-600 transition"
-                    >
-                      Join
-                    </button>
+                    <span>
+                      {game.code}
+                      {game.players.length > 0 && (
+                        <span className="ml-2 text-sm text-amber-900">
+                          {game.players.map(name => name || 'Guest').join(' vs ')}
+                        </span>
+                      )}
+                      <span className="ml-2 text-xs text-gray-500">
+                        {game.rated && 'rated · '}
+                        {game.open ? 'waiting for an opponent' : game.vsComputer ? 'vs computer' : 'in progress'}
+                        {game.spectators > 0 && ` · ${game.spectators} watching`}
+                      </span>
+                    </span>
+                    <span className="flex gap-2">
+                      {game.open && (
+                        <button
+                          onClick={() => {
+                            setInputCode(game.code);
+                            joinGame();
+                          }}
+                          className="py-1 px-3 bg-amber-500 text-white text-sm rounded hover:bg-amber-600 transition"
+                        >
+                          Join
+                        </button>
+                      )}
+                      <button
+                        onClick={() => spectateGame(game.code)}
+                        className="py-1 px-3 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition"
+                      >
+                        Watch
+                      </button>
+                    </span>
                   </li>
                 ))}
               </ul>
@@ -233,27 +721,41 @@ function App() {
             {gameCode && (
               <div className="mt-2">
                 <p className="font-semibold">Game Code: <span className="font-mono bg-amber-100 px-2 py-1 rounded">{gameCode}</span></p>
-                {isCreator && (
+                {spectating ? (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Watching{computerGame ? ' a game against the computer' : ''}
+                  </p>
+                ) : computerGame ? (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Playing against the computer ({COMPUTER_LEVELS.find(l => l.id === computerGame.difficulty)?.name})
+                  </p>
+                ) : isCreator && (
                   <p className="text-sm text-gray-600 mt-1">Share this code with a friend to play together</p>
                 )}
+                {gameRules && (
+                  <p className="text-xs text-amber-800 mt-1">
+                    {gameRated ? 'Rated' : 'Casual'} game · Rules: {describeRules(gameRules).join(' · ')}
+                  </p>
+                )}
               </div>
             )}
           </div>
           
-          <BanqiGame socket={socket.current} gameCode={gameCode} isCreator={isCreator} />
+          <BanqiGame
+            socket={socket.current}
+            gameCode={gameCode}
+            isCreator={isCreator}
+            playerId={playerId}
+            spectator={spectating}
+            rated={gameRated}
+          />
           
           <div className="mt-6 flex gap-4">
-            <button
-              onClick={resetGame}
-              className="py-2 px-4 bg-amber-500 text-white font-semibold rounded-lg hover:bg-amber-600 transition"
-            >
-              Reset Game
-            </button>
             <button
               onClick={returnToLobby}
               className="py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600 transition"
             >
-              Leave Game
+              {spectating ? 'Stop Watching' : 'Leave Game'}
             </button>
           </div>
         </div>
@@ -261,8 +763,456 @@ function App() {
   }
 }
 
+// Sign-in form, or who is signed in and their latest results
+function AccountPanel({ account, onSignIn, onSignOut }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  if (account) {
+    const outcomes = { win: 'Won', loss: 'Lost', draw: 'Drew' };
+    return (
+      <div className="p-3 bg-white rounded-lg shadow text-amber-900">
+        <div className="flex justify-between items-center">
+          <span>
+            Signed in as <span className="font-bold">{account.username}</span>
+            <span className="ml-1 text-sm text-gray-600">(rated {account.rating})</span>
+          </span>
+          <button onClick={onSignOut} className="text-sm text-gray-600 underline">Sign out</button>
+        </div>
+        {account.games.length > 0 && (
+          <ul className="mt-2 text-sm">
+            {account.games.map((game, index) => (
+              <li key={index}>
+                {outcomes[game.result]} against {game.opponent || 'a guest'}
+                <span className="ml-1 text-xs text-gray-500">{new Date(game.endedAt).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  const submit = (isNew) => {
+    onSignIn(username.trim(), password, isNew);
+    setPassword('');
+  };
+  return (
+    <div className="p-3 bg-white rounded-lg shadow text-amber-900">
+      <p className="mb-2 text-sm">Sign in to put your name on your games, or play as a guest.</p>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          className="flex-1 min-w-0 p-2 border border-gray-300 rounded"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          className="flex-1 min-w-0 p-2 border border-gray-300 rounded"
+        />
+      </div>
+      <div className="mt-2 flex gap-2">
+        <button onClick={() => submit(false)} className="py-1 px-3 bg-amber-600 text-white text-sm rounded hover:bg-amber-700">
+          Sign In
+        </button>
+        <button onClick={() => submit(true)} className="py-1 px-3 bg-amber-200 text-amber-950 text-sm rounded hover:bg-amber-300">
+          Create Account
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// The best-rated players, fetched from the server whenever the lobby opens
+// (or the signed-in player changes, since their games may have moved it)
+function Leaderboard({ account }) {
+  const [players, setPlayers] = useState(null);
+
+  useEffect(() => {
+    fetch('/leaderboard?limit=10')
+      .then(res => res.json())
+      .then(setPlayers)
+      .catch(err => console.error('Could not load the leaderboard:', err));
+  }, [account]);
+
+  return (
+    <div className="p-3 bg-white rounded-lg shadow text-amber-900">
+      <h2 className="font-bold mb-2">Leaderboard</h2>
+      {!players ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : players.length === 0 ? (
+        <p className="text-sm text-gray-500">No rated games yet</p>
+      ) : (
+        <ol className="text-sm">
+          {players.map((player, index) => (
+            <li
+              key={player.username}
+              className={`flex justify-between ${account && account.username === player.username ? 'font-bold' : ''}`}
+            >
+              <span>{index + 1}. {player.username}</span>
+              <span>
+                {player.rating}
+                <span className="ml-2 text-xs text-gray-500">{player.wins}-{player.losses}-{player.draws}</span>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Rated or casual, for games between signed-in players
+function RatedToggle({ account, value, onChange }) {
+  return (
+    <label className={`text-amber-900 ${account ? '' : 'opacity-50'}`}>
+      <input
+        type="checkbox"
+        checked={value && Boolean(account)}
+        disabled={!account}
+        onChange={(e) => onChange(e.target.checked)}
+        className="mr-2"
+      />
+      <span className="font-semibold">Rated game</span>
+      <span className="text-sm text-gray-600">
+        {account ? " - the result changes both players' ratings" : ' - sign in from the lobby to play rated games'}
+      </span>
+    </label>
+  );
+}
+
+function TimeControlPicker({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-amber-900">
+      <span className="font-semibold">Time control</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="flex-1 p-2 border border-gray-300 rounded bg-white"
+      >
+        {TIME_CONTROLS.map((tc) => (
+          <option key={tc.id} value={tc.id}>{tc.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// The no-progress draw limit for a new game
+function MoveLimitPicker({ value, onChange }) {
+  return (
+    <label className="mt-2 flex items-center gap-2 text-amber-900">
+      <span className="font-semibold">Draw after</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1 p-2 border border-gray-300 rounded bg-white"
+      >
+        {MOVE_LIMITS.map((limit) => (
+          <option key={limit.plies} value={limit.plies}>{limit.name}</option>
+        ))}
+      </select>
+      <span className="text-sm">without a flip or capture</span>
+    </label>
+  );
+}
+
+// House rule switches for a new game, one checkbox per RULE_VARIANTS entry
+function RulesPicker({ value, onChange }) {
+  return (
+    <details className="text-amber-900">
+      <summary className="font-semibold cursor-pointer">House rules</summary>
+      <div className="mt-2 flex flex-col gap-1">
+        {Object.entries(RULE_VARIANTS).map(([key, variant]) => (
+          <label key={key} className="text-sm">
+            <input
+              type="checkbox"
+              checked={value[key]}
+              onChange={(e) => onChange({ ...value, [key]: e.target.checked })}
+              className="mr-2"
+            />
+            <span className="font-semibold">{variant.name}</span>
+            <span className="text-gray-600"> - {variant.description}</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+// Short labels for the rules that differ from the standard game
+const describeRules = (rules) => {
+  const changed = Object.entries(RULE_VARIANTS)
+    .filter(([key, variant]) => rules[key] !== undefined && rules[key] !== variant.default)
+    .map(([key, variant]) => (rules[key] ? variant.name : `${variant.name}: off`));
+  return changed.length > 0 ? changed : ['Standard'];
+};
+
+// Clock reading: m:ss, with tenths in the last ten seconds
+const formatClock = (ms) => {
+  if (ms < 10000) return (ms / 1000).toFixed(1);
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// One line of the move list, e.g. "c2 red Chariot", "Chariot c2-c3" or
+// "Horse b1×b2 (Soldier)"
+const describeMove = (entry) => {
+  const name = (type) => type.charAt(0) + type.slice(1).toLowerCase();
+  const from = squareName(entry.fromRow, entry.fromCol);
+  const to = squareName(entry.toRow, entry.toCol);
+  if (entry.type === 'reveal') return `${from} ${entry.piece.color} ${name(entry.piece.type)}`;
+  if (entry.type === 'capture') return `${name(entry.piece.type)} ${from}×${to} (${name(entry.capturedPiece.type)})`;
+  return `${name(entry.piece.type)} ${from}-${to}`;
+};
+
+// Get piece symbol for display
+const getPieceSymbol = (piece) => {
+  if (!piece) return '';
+  if (!piece.faceUp) return '?';
+  
+  // Chinese symbols
+  const symbols = {
+    red: {
+      'GENERAL': '帥', 'ADVISOR': '仕', 'ELEPHANT': '相', 
+      'CHARIOT': '俥', 'HORSE': '傌', 'SOLDIER': '兵', 'CANNON': '炮'
+    },
+    black: {
+      'GENERAL': '將', 'ADVISOR': '士', 'ELEPHANT': '象', 
+      'CHARIOT': '車', 'HORSE': '馬', 'SOLDIER': '卒', 'CANNON': '砲'
+    }
+  };
+  
+  // English abbreviations
+  const englishAbbr = {
+    'GENERAL': 'G', 'ADVISOR': 'A', 'ELEPHANT': 'E',
+    'CHARIOT': 'C', 'HORSE': 'H', 'SOLDIER': 'S', 'CANNON': 'N'
+  };
+  
+  const chineseSymbol = symbols[piece.color][piece.type];
+  const englishLetter = englishAbbr[piece.type];
+  
+  return (
+    <div className="flex flex-col items-center">
+      <div>{chineseSymbol}</div>
+      <div className="text-xs mt-[-5px]">{englishLetter}</div>
+    </div>
+  );
+};
+
+// Step through a game: `initialBoard` is the deal with every piece known and
+// `moves` the plies in order. Every position is worked out up front with the
+// shared engine, so stepping back and forth is just picking one.
+function ReplayViewer({ initialBoard, moves, rules, onClose }) {
+  const [ply, setPly] = useState(0); // moves applied to the position shown
+  const [playing, setPlaying] = useState(false);
+  const [showHidden, setShowHidden] = useState(false); // show what is under face-down tiles
+  const moveListRef = useRef(null);
+
+  const { positions, entries } = useMemo(() => {
+    const positions = [initialBoard];
+    const entries = [];
+    let board = initialBoard;
+    let turn = null;
+    let chain = null;
+    for (const move of moves) {
+      const outcome = playMove(board, turn, move, rules, chain);
+      if (!outcome.valid) break; // a damaged record plays as far as it can
+      const { fromRow, fromCol, toRow, toCol } = move;
+      entries.push({
+        fromRow, fromCol, toRow, toCol,
+        type: outcome.type,
+        color: outcome.mover,
+        piece: outcome.revealedPiece || outcome.board[toRow][toCol],
+        capturedPiece: outcome.capturedPiece
+      });
+      positions.push(outcome.board);
+      board = outcome.board;
+      turn = outcome.turn;
+      chain = outcome.chain;
+    }
+    return { positions, entries };
+  }, [initialBoard, moves, rules]);
+
+  // Autoplay: one move per step until the end
+  useEffect(() => {
+    if (!playing) return;
+    if (ply >= entries.length) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setPly(p => p + 1), REPLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, ply, entries.length]);
+
+  // Keep the current move in view
+  useEffect(() => {
+    const current = moveListRef.current && moveListRef.current.children[ply - 1];
+    if (current) current.scrollIntoView({ block: 'nearest' });
+  }, [ply]);
+
+  const board = positions[ply];
+  const lastMove = entries[ply - 1];
+  const isLastMoveSquare = (row, col) => lastMove &&
+    ((lastMove.fromRow === row && lastMove.fromCol === col) || (lastMove.toRow === row && lastMove.toCol === col));
+  const goTo = (target) => setPly(Math.max(0, Math.min(entries.length, target)));
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="mb-4 flex flex-wrap items-center justify-center gap-2">
+        <button onClick={() => goTo(0)} className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700">⏮</button>
+        <button onClick={() => goTo(ply - 1)} className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700">◀</button>
+        <button
+          onClick={() => {
+            if (ply >= entries.length) setPly(0);
+            setPlaying(!playing);
+          }}
+          className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 w-20"
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button onClick={() => goTo(ply + 1)} className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700">▶</button>
+        <button onClick={() => goTo(entries.length)} className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700">⏭</button>
+        <span className="text-sm text-amber-900 font-mono">{ply} / {entries.length}</span>
+        <label className="text-sm text-amber-900 flex items-center gap-1">
+          <input type="checkbox" checked={showHidden} onChange={(e) => setShowHidden(e.target.checked)} />
+          Show hidden pieces
+        </label>
+      </div>
+      
+      <input
+        type="range"
+        min={0}
+        max={entries.length}
+        value={ply}
+        onChange={(e) => goTo(Number(e.target.value))}
+        className="mb-4 w-full max-w-md"
+      />
+      
+      <div className="flex flex-col md:flex-row gap-4 items-start">
+        <div className="mb-6 bg-amber-800 p-4 rounded-lg shadow-lg">
+          <div className="grid grid-cols-8 gap-1">
+            {board.map((row, rowIndex) =>
+              row.map((piece, colIndex) => {
+                const hidden = piece && !piece.faceUp;
+                const shown = hidden && showHidden ? { ...piece, faceUp: true } : piece;
+                return (
+                  <div
+                    key={`${rowIndex}-${colIndex}`}
+                    className={`
+                      w-12 h-12 md:w-16 md:h-16 flex items-center justify-center
+                      text-xl md:text-2xl font-bold rounded
+                      ${hidden ? 'bg-amber-600' : 'bg-amber-200'}
+                      ${hidden && showHidden ? 'opacity-60' : ''}
+                      ${isLastMoveSquare(rowIndex, colIndex) ? 'ring-4 ring-yellow-400' : ''}
+                      ${shown && shown.faceUp ? (shown.color === 'red' ? 'text-red-600' : 'text-gray-800') : 'text-amber-800'}
+                    `}
+                  >
+                    {getPieceSymbol(shown)}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+        
+        <div className="mb-6 w-full md:w-56 bg-white rounded-lg shadow p-3">
+          <h3 className="font-bold text-amber-800 mb-2">Moves</h3>
+          <ol ref={moveListRef} className="h-64 overflow-y-auto text-sm font-mono">
+            {entries.map((entry, index) => (
+              <li
+                key={index}
+                onClick={() => goTo(index + 1)}
+                className={`cursor-pointer px-1 rounded ${index + 1 === ply ? 'bg-amber-200' : 'hover:bg-amber-50'} ${entry.color === 'red' ? 'text-red-600' : 'text-gray-800'}`}
+              >
+                {index + 1}. {describeMove(entry)}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+      
+      <button
+        onClick={onClose}
+        className="py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg hover:bg-gray-600 transition"
+      >
+        Close Replay
+      </button>
+    </div>
+  );
+}
+
+// Chat for a game. Players and spectators talk on separate channels; the
+// server only sends the spectators' channel to players once the game is over,
+// so whatever arrives here is shown, oldest first.
+function ChatPanel({ socket, chat, error, labelFor }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+  const messages = [
+    ...chat.players.map(message => ({ ...message, channel: 'players' })),
+    ...chat.spectators.map(message => ({ ...message, channel: 'spectators' }))
+  ].sort((a, b) => a.at - b.at);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages.length]);
+
+  const send = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    socket.emit('chatMessage', { text: draft });
+    setDraft('');
+  };
+
+  return (
+    <div className="mb-6 w-full md:w-64 bg-white rounded-lg shadow p-3 flex flex-col">
+      <h3 className="font-bold text-amber-800 mb-2">Chat</h3>
+      <ol ref={listRef} className="h-48 overflow-y-auto text-sm">
+        {messages.length === 0 && <li className="text-gray-500">No messages yet</li>}
+        {messages.map((message, index) => (
+          <li key={index} className={message.channel === 'spectators' ? 'text-gray-500' : 'text-amber-900'}>
+            <span className="font-semibold">{labelFor(message)}:</span>{' '}
+            <span className={message.emote ? 'italic' : ''}>{message.text}</span>
+          </li>
+        ))}
+      </ol>
+      <div className="mt-2 flex flex-wrap gap-1">
+        {EMOTES.map(emote => (
+          <button
+            key={emote.id}
+            onClick={() => socket.emit('chatMessage', { emote: emote.id })}
+            className="px-2 py-0.5 text-xs bg-amber-100 text-amber-900 rounded hover:bg-amber-200"
+          >
+            {emote.text}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={send} className="mt-2 flex gap-1">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_CHAT_LENGTH}
+          placeholder="Say something..."
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-amber-300 rounded"
+        />
+        <button type="submit" className="px-2 py-1 text-xs bg-amber-600 text-white rounded hover:bg-amber-700">
+          Send
+        </button>
+      </form>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
 // Banqi Game Component
-function BanqiGame({ socket, gameCode, isCreator }) {
+// `spectator` games are read-only: the board updates, clicks do nothing
+function BanqiGame({ socket, gameCode, isCreator, playerId, spectator, rated }) {
   // Game state
   const [board, setBoard] = useState(null);
   const [selectedPiece, setSelectedPiece] = useState(null);
@@ -273,26 +1223,58 @@ function BanqiGame({ socket, gameCode, isCreator }) {
   const [gamePhase, setGamePhase] = useState('waiting'); // 'waiting', 'playing', 'gameOver'
   const [message, setMessage] = useState("Waiting for opponent to join...");
   const [isMyTurn, setIsMyTurn] = useState(false);
+  const [gameResult, setGameResult] = useState(null); // set by the server's gameOver event
+  const [history, setHistory] = useState([]); // every move played so far, oldest first
+  const [undoRequest, setUndoRequest] = useState(null); // { requestedBy, plies } while a takeback is pending
+  const [drawOffer, setDrawOffer] = useState(null); // { offeredBy } while a draw offer is pending
+  const [rematchRequest, setRematchRequest] = useState(null); // { requestedBy } after the game
+  const [drawCount, setDrawCount] = useState(null); // { quietPlies, moveLimit } for the no-progress rule
+  const [showReplay, setShowReplay] = useState(false);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [clock, setClock] = useState(null); // the server's clock snapshot, plus when it arrived
+  const [seatColors, setSeatColors] = useState({}); // player ID -> color, for labelling clocks
+  const [names, setNames] = useState({}); // player ID -> account name (null for guests), seat 1 first
+  const [gameRules, setGameRules] = useState(undefined); // house rules; undefined is the standard game
+  const [chain, setChain] = useState(null); // [row, col] of a piece that must capture again
+  const [chat, setChat] = useState({ players: [], spectators: [] }); // the messages we may read, by channel
+  const [chatError, setChatError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const moveListRef = useRef(null);
 
   // Set up socket event listeners
   useEffect(() => {
     if (!socket) return;
 
     socket.on('gameReady', (data) => {
-      console.log('Game is ready:', data);
+      debugLog('Game is ready:', data);
+      setGameResult(null); // a new opponent; a rejoined finished game gets its gameOver next
       setGamePhase('playing');
       setMessage("Game started! Click any piece to reveal it.");
     });
 
     socket.on('gameStateUpdate', (data) => {
-      console.log('Game state update received from server:', data);
+      debugLog('Game state update received from server:', data);
       
       // Important: Update board state first
       setBoard(data.board);
+      setHistory(data.history || []);
+      setClock(data.clock ? { ...data.clock, receivedAt: Date.now() } : null);
+      setSeatColors(data.colors || {});
+      setNames(data.names || {});
+      setGameRules(data.rules);
+      setChain(data.chain || null);
+      setDrawCount(data.moveLimit ? { quietPlies: data.quietPlies, moveLimit: data.moveLimit } : null);
 
       // CRITICAL: Determine if it's my turn based on the server's playerTurn ID
-      const isMyTurnNow = data.playerTurn === socket.id;
-      console.log(`Turn status: ${isMyTurnNow ? 'MY TURN' : 'NOT MY TURN'}, playerTurn: ${data.playerTurn}, myId: ${socket.id}`);
+      const isMyTurnNow = data.playerTurn === playerId;
+      debugLog(`Turn status: ${isMyTurnNow ? 'MY TURN' : 'NOT MY TURN'}, playerTurn: ${data.playerTurn}, myId: ${playerId}`);
+
+      // Colors are fixed by the first reveal. The server repeats them here so a
+      // player who rejoins gets theirs back.
+      const myColor = (data.colors && data.colors[playerId]) || null;
+      const theirColor = myColor && (myColor === 'red' ? 'black' : 'red');
+      setPlayerColor(myColor);
+      setOpponentColor(theirColor);
       
       // Update client state atomically to avoid race conditions
       setIsMyTurn(isMyTurnNow);
@@ -304,39 +1286,50 @@ function BanqiGame({ socket, gameCode, isCreator }) {
         setValidMoveSquares({ validMoves: [], captureableMoves: [] });
       }
 
+      // A chained capture keeps the turn: the capturing piece stays selected
+      if (data.chain && isMyTurnNow) {
+        const [row, col] = data.chain;
+        setSelectedPiece({ row, col });
+        setValidMoveSquares({ validMoves: [], captureableMoves: getPieceMoves(data.board, row, col, data.rules).captureableMoves });
+        setMessage('Capture again with the same piece.');
+        return;
+      }
+
       // Update message based on whose turn it is
       if (data.currentPlayer) {
-        if (isMyTurnNow) {
-          setMessage(`Your turn - ${playerColor ? playerColor.toUpperCase() : ''}`);
+        if (spectator) {
+          setMessage(`${data.currentPlayer.toUpperCase()} to move`);
+        } else if (isMyTurnNow) {
+          setMessage(`Your turn - ${myColor ? myColor.toUpperCase() : ''}`);
         } else {
-          setMessage(`Opponent's turn - ${opponentColor ? opponentColor.toUpperCase() : ''}`);
+          setMessage(`Opponent's turn - ${theirColor ? theirColor.toUpperCase() : ''}`);
         }
       }
     });
 
     socket.on('move', (data) => {
-      console.log('Move response received from server:', data);
+      debugLog('Move response received from server:', data);
 
       // Handle first piece reveal which determines colors
-      if (data.result && data.result.firstPiece) {
+      if (data.result && data.result.firstPiece && !spectator) {
         const firstPieceColor = data.result.firstPiece.color;
 
-        if (data.playerId === socket.id) {
+        if (data.playerId === playerId) {
           // I revealed the first piece, so I get that color
           setPlayerColor(firstPieceColor);
           setOpponentColor(firstPieceColor === 'red' ? 'black' : 'red');
-          console.log(`I revealed the first piece. My color is ${firstPieceColor} and will not change.`);
+          debugLog(`I revealed the first piece. My color is ${firstPieceColor} and will not change.`);
         } else {
           // Opponent revealed the first piece, so they get that color
           setPlayerColor(firstPieceColor === 'red' ? 'black' : 'red');
           setOpponentColor(firstPieceColor);
-          console.log(`Opponent revealed the first piece. My color is ${firstPieceColor === 'red' ? 'black' : 'red'} and will not change.`);
+          debugLog(`Opponent revealed the first piece. My color is ${firstPieceColor === 'red' ? 'black' : 'red'} and will not change.`);
         }
       }
 
       // If move failed, show error message 
       if (data.result && !data.result.valid) {
-        console.log('Move was invalid:', data.result.message);
+        debugLog('Move was invalid:', data.result.message);
         setMessage(`Invalid move: ${data.result.message || 'Unknown error'}`);
         
         // Provide visual feedback for invalid move
@@ -356,134 +1349,240 @@ function BanqiGame({ socket, gameCode, isCreator }) {
       
       // If the move includes updated turn information, sync our state immediately
       if (data.result && data.result.playerTurn) {
-        const isMyTurnNow = data.result.playerTurn === socket.id;
-        console.log(`Turn changed in move response: ${isMyTurnNow ? 'MY TURN' : 'NOT MY TURN'}`);
+        const isMyTurnNow = data.result.playerTurn === playerId;
+        debugLog(`Turn changed in move response: ${isMyTurnNow ? 'MY TURN' : 'NOT MY TURN'}`);
         setIsMyTurn(isMyTurnNow);
       }
     });
 
+    socket.on('gameOver', (data) => {
+      debugLog('Game over:', data);
+      setBoard(data.board);
+      setGameResult(data);
+      setClock(current => current && { ...current, running: null });
+      setGamePhase('gameOver');
+      setIsMyTurn(false);
+      setUndoRequest(null); // the server drops open requests when the game ends
+      setDrawOffer(null);
+      setSelectedPiece(null);
+      setValidMoveSquares({ validMoves: [], captureableMoves: [] });
+      if (spectator) {
+        setMessage(data.winner ? `Game over - ${data.winner.toUpperCase()} wins` : 'Game over - draw');
+      } else {
+        if (!data.winnerId) setMessage('Game over - draw.');
+        else setMessage(data.winnerId === playerId ? 'Game over - you won!' : 'Game over - you lost.');
+      }
+    });
+
+    // To a spectator, either player is "a player"
+    const opponent = spectator ? 'A player' : 'Opponent';
+
+    socket.on('opponentDisconnected', (data) => {
+      const seconds = Math.round(data.graceMs / 1000);
+      setMessage(`${opponent} disconnected. Holding their seat for ${seconds} seconds...`);
+    });
+
+    socket.on('opponentReconnected', () => {
+      setMessage(`${opponent} reconnected.`);
+    });
+
     socket.on('opponentLeft', () => {
-      setMessage("Opponent left the game. Waiting for new player to join...");
-      setGamePhase('waiting');
+      setMessage(`${opponent} left the game. Waiting for new player to join...`);
+      setGamePhase(phase => (phase === 'gameOver' ? phase : 'waiting')); // keep a result on screen
+    });
+
+    socket.on('spectatorCount', (data) => {
+      setSpectatorCount(data.count);
+    });
+
+    // Save the game record the server sends back as a text file
+    socket.on('gameExported', (data) => {
+      const url = URL.createObjectURL(new Blob([data.text], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = data.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+
+    socket.on('undoRequested', (data) => {
+      setUndoRequest(data);
+    });
+
+    socket.on('undoAccepted', (data) => {
+      setUndoRequest(null);
+      setSelectedPiece(null);
+      setValidMoveSquares({ validMoves: [], captureableMoves: [] });
+      const moves = data.plies === 1 ? 'move' : `${data.plies} moves`;
+      setMessage(`Takeback accepted - the last ${moves} undone.`);
+    });
+
+    socket.on('undoDeclined', (data) => {
+      setUndoRequest(null);
+      if (data.reason === 'declined') setMessage('Takeback declined.');
+      else if (data.reason === 'invalid') setMessage(`Can't take back: ${data.message}`);
+    });
+
+    socket.on('drawOffered', (data) => {
+      setDrawOffer(data);
+    });
+
+    socket.on('drawDeclined', (data) => {
+      setDrawOffer(null);
+      if (data.reason === 'declined') setMessage('Draw offer declined.');
+      else if (data.reason === 'invalid') setMessage(`Can't offer a draw: ${data.message}`);
+    });
+
+    socket.on('rematchRequested', (data) => {
+      setRematchRequest(data);
     });
 
-    socket.on('reset', () => {
-      setMessage("Game has been reset. Click any piece to reveal it.");
+    socket.on('rematchDeclined', (data) => {
+      setRematchRequest(null);
+      if (data.reason === 'declined') setMessage('Rematch declined.');
+      else if (data.reason === 'invalid') setMessage(`Can't start a rematch: ${data.message}`);
+    });
+
+    socket.on('chat', ({ channel, message }) => {
+      setChat(current => ({ ...current, [channel]: [...current[channel], message] }));
+      setChatError('');
+    });
+
+    // Everything we may read so far: on joining or rejoining, and when the
+    // game ends and the spectators' channel opens up
+    socket.on('chatHistory', (data) => {
+      setChat(data);
+    });
+
+    socket.on('chatError', (error) => {
+      setChatError(error.message);
+    });
+
+    // A new deal for the same seats: forget everything about the last one
+    const startOver = (text) => {
+      setMessage(text);
       setSelectedPiece(null);
+      setUndoRequest(null);
+      setDrawOffer(null);
+      setRematchRequest(null);
+      setShowReplay(false);
       setPlayerColor(null);
       setOpponentColor(null);
-    });
+      setGameResult(null);
+      setGamePhase(phase => (phase === 'gameOver' ? 'playing' : phase));
+    };
+
+    socket.on('rematchStarted', () => startOver('Rematch! Click any piece to reveal it.'));
+    socket.on('reset', () => startOver('Game has been reset. Click any piece to reveal it.'));
 
     // Clean up event listeners
     return () => {
       socket.off('gameReady');
       socket.off('gameStateUpdate');
       socket.off('move');
+      socket.off('gameOver');
+      socket.off('opponentDisconnected');
+      socket.off('opponentReconnected');
       socket.off('opponentLeft');
+      socket.off('spectatorCount');
+      socket.off('gameExported');
+      socket.off('undoRequested');
+      socket.off('undoAccepted');
+      socket.off('undoDeclined');
+      socket.off('drawOffered');
+      socket.off('drawDeclined');
+      socket.off('rematchRequested');
+      socket.off('rematchDeclined');
+      socket.off('rematchStarted');
       socket.off('reset');
+      socket.off('chat');
+      socket.off('chatHistory');
+      socket.off('chatError');
     };
-  }, [socket]);
-
-  // Calculate valid moves for a piece
-  const getValidMoves = (row, col) => {
-    if (!board) return [];
-
-    const piece = board[row][col];
-    if (!piece || !piece.faceUp || piece.color !== playerColor) return [];
+  }, [socket, playerId, spectator]);
 
-    const validMoves = [];
-    const captureableMoves = [];
-
-    // Check all four directions (up, right, down, left)
-    const directions = [[-1, 0], [0, 1], [1, 0], [0, -1]];
-
-    for (const [dr, dc] of directions) {
-      const newRow = row + dr;
-      const newCol = col + dc;
+  // Ask for the current state once our listeners are in place, in case it
+  // was sent before this component mounted (e.g. when rejoining)
+  useEffect(() => {
+    if (socket) socket.emit('syncGame');
+  }, [socket]);
 
-      // Skip if position is off the board
-      if (newRow < 0 || newRow >= 4 || newCol < 0 || newCol >= 8) continue;
+  // Tick while a clock is running; the server decides when time is up
+  useEffect(() => {
+    if (!clock || !clock.running) return;
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [clock]);
+
+  // Time left for a player, counting down locally from the last snapshot
+  const clockTime = (id) => {
+    const elapsed = clock.running === id ? now - clock.receivedAt : 0;
+    return Math.max(0, clock.remaining[id] - elapsed);
+  };
 
-      const targetPiece = board[newRow][newCol];
+  // Keep the newest move in view
+  useEffect(() => {
+    if (moveListRef.current) moveListRef.current.scrollTop = moveListRef.current.scrollHeight;
+  }, [history]);
 
-      // Special case for Cannon
-      if (piece.type === 'CANNON') {
-        // For empty space, just check if it's adjacent
-        if (!targetPiece) {
-          validMoves.push([newRow, newCol]);
-          continue;
-        }
+  const requestUndo = () => {
+    socket.emit('requestUndo');
+  };
 
-        // For capture, check if there's exactly one piece to jump over
-        if (targetPiece.faceUp) {
-          let jumpRow = newRow;
-          let jumpCol = newCol;
-          let screenFound = false;
-          let moveFound = false;
+  const respondUndo = (accept) => {
+    socket.emit('respondUndo', { accept });
+  };
 
-          while (true) {
-            jumpRow += dr;
-            jumpCol += dc;
+  const offerDraw = () => {
+    socket.emit('offerDraw');
+  };
 
-            // If off the board, break
-            if (jumpRow < 0 || jumpRow >= 4 || jumpCol < 0 || jumpCol >= 8) break;
+  const respondDraw = (accept) => {
+    socket.emit(accept ? 'acceptDraw' : 'declineDraw');
+  };
 
-            const jumpTarget = board[jumpRow][jumpCol];
+  const resign = () => {
+    if (window.confirm('Resign this game?')) socket.emit('resign');
+  };
 
-            if (jumpTarget) {
-              if (screenFound) break; // Already found a screen
+  const requestRematch = () => {
+    socket.emit('requestRematch');
+  };
 
-              if (jumpTarget.faceUp && jumpTarget.color !== playerColor) {
-                captureableMoves.push([jumpRow, jumpCol]);
-                moveFound = true;
-              }
+  const respondRematch = (accept) => {
+    socket.emit(accept ? 'acceptRematch' : 'declineRematch');
+  };
 
-              screenFound = true;
-            }
+  // Calculate valid moves for a piece
+  const getValidMoves = (row, col) => {
+    if (!board) return { validMoves: [], captureableMoves: [] };
 
-            if (moveFound) break;
-          }
-        }
-      } else {
-        // For other pieces, check if the target is empty or has an opponent's piece
-        if (!targetPiece) {
-          validMoves.push([newRow, newCol]);
-        } else if (targetPiece.faceUp && targetPiece.color !== playerColor) {
-          // Check if the piece can capture the target
-          const ranks = {
-            'GENERAL': 7, 'ADVISOR': 6, 'ELEPHANT': 5, 'CHARIOT': 4,
-            'HORSE': 3, 'CANNON': 2, 'SOLDIER': 1
-          };
-
-          // Special rule: General cannot capture Soldier
-          if (piece.type === 'GENERAL' && targetPiece.type === 'SOLDIER') {
-            continue;
-          }
-
-          // Special rule: Soldier can capture General
-          if (piece.type === 'SOLDIER' && targetPiece.type === 'GENERAL') {
-            captureableMoves.push([newRow, newCol]);
-            continue;
-          }
-
-          // Regular rank comparison
-          if (ranks[piece.type] >= ranks[targetPiece.type]) {
-            captureableMoves.push([newRow, newCol]);
-          }
-        }
-      }
+    const piece = board[row][col];
+    if (!piece || !piece.faceUp || piece.color !== playerColor) {
+      return { validMoves: [], captureableMoves: [] };
     }
 
-    return { validMoves, captureableMoves };
+    const moves = getPieceMoves(board, row, col, gameRules);
+    if (!chain) return moves;
+
+    // Mid-chain only the capturing piece may go on, and only to capture
+    if (chain[0] !== row || chain[1] !== col) return { validMoves: [], captureableMoves: [] };
+    return { validMoves: [], captureableMoves: moves.captureableMoves };
   };
 
   // Handle square click
   const handleSquareClick = (row, col) => {
-    if (!board || gamePhase !== 'playing') return;
+    if (!board || gamePhase !== 'playing' || spectator) return;
     
     // First, check if it's actually my turn
     if (!isMyTurn) {
-      console.log('Ignoring click - not my turn');
+      debugLog('Ignoring click - not my turn');
+      return;
+    }
+
+    // In the middle of chained captures only a capture by the chained piece counts
+    if (chain && !validMoveSquares.captureableMoves.some(([r, c]) => r === row && c === col)) {
+      setMessage('Capture again with the same piece: click a highlighted square.');
       return;
     }
 
@@ -493,7 +1592,7 @@ function BanqiGame({ socket, gameCode, isCreator }) {
     if (!selectedPiece) {
       // Case 1: Clicked on a face-down piece
       if (piece && !piece.faceUp) {
-        console.log(`Revealing piece at ${row},${col}`);
+        debugLog(`Revealing piece at ${row},${col}`);
         socket.emit('move', {
           fromRow: row,
           fromCol: col,
@@ -539,7 +1638,7 @@ function BanqiGame({ socket, gameCode, isCreator }) {
       const isCapture = validMoveSquares.captureableMoves.some(([r, c]) => r === row && c === col);
 
       // Log the move attempt for debugging
-      console.log('Move attempt details:', {
+      debugLog('Move attempt details:', {
         from: { row: selectedPiece.row, col: selectedPiece.col },
         to: { row, col },
         piece: board[selectedPiece.row][selectedPiece.col],
@@ -553,7 +1652,7 @@ function BanqiGame({ socket, gameCode, isCreator }) {
       });
 
       if (isValidMove || isCapture) {
-        console.log(`Sending move from ${selectedPiece.row},${selectedPiece.col} to ${row},${col}`);
+        debugLog(`Sending move from ${selectedPiece.row},${selectedPiece.col} to ${row},${col}`);
         // Animate the source square to give feedback
         const sourceElement = document.getElementById(`square-${selectedPiece.row}-${selectedPiece.col}`);
         if (sourceElement) {
@@ -576,40 +1675,54 @@ function BanqiGame({ socket, gameCode, isCreator }) {
     }
   };
 
-  // Get piece symbol for display
-  const getPieceSymbol = (piece) => {
-    if (!piece) return '';
-    if (!piece.faceUp) return '?';
-    
-    // Chinese symbols
-    const symbols = {
-      red: {
-        'GENERAL': '帥', 'ADVISOR': '仕', 'ELEPHANT': '相', 
-        'CHARIOT': '俥', 'HORSE': '傌', 'SOLDIER': '兵', 'CANNON': '炮'
-      },
-      black: {
-        'GENERAL': '將', 'ADVISOR': '士', 'ELEPHANT': '象', 
-        'CHARIOT': '車', 'HORSE': '馬', 'SOLDIER': '卒', 'CANNON': '砲'
-      }
+  // How a seat is labelled: the account name, or a stand-in for a guest
+  const nameOf = (id) => names[id] || (id === playerId ? 'You' : spectator ? 'Guest' : 'Opponent');
+  const opponentId = Object.keys(names).find(id => id !== playerId);
+
+  // Who a chat message is from: a seat, or a spectator by account name
+  const chatSender = (message) => {
+    if (message.from) return message.from === playerId ? 'You' : nameOf(message.from);
+    return `${message.name || 'Spectator'} (watching)`;
+  };
+
+  // Describe how the game ended, from this player's point of view
+  const describeResult = (result) => {
+    const drawReasons = {
+      repetition: 'The same position came up three times.',
+      moveLimit: 'Too many moves went by without a flip or capture.',
+      agreement: 'Both players agreed to a draw.'
     };
-    
-    // English abbreviations
-    const englishAbbr = {
-      'GENERAL': 'G', 'ADVISOR': 'A', 'ELEPHANT': 'E',
-      'CHARIOT': 'C', 'HORSE': 'H', 'SOLDIER': 'S', 'CANNON': 'N'
+    if (spectator) {
+      const loser = result.winner ? (result.winner === 'red' ? 'Black' : 'Red') : '';
+      const reasons = {
+        noPieces: `${loser} had no pieces left.`,
+        noMoves: `${loser} had no legal moves left.`,
+        timeout: `${loser || 'A player'} ran out of time.`,
+        resigned: `${loser || 'A player'} resigned.`,
+        abandoned: `${loser || 'A player'} left the game.`,
+        ...drawReasons
+      };
+      return {
+        title: result.winner ? `${result.winner.toUpperCase()} wins` : result.winnerId ? 'Game over' : 'Draw',
+        detail: reasons[result.reason] || ''
+      };
+    }
+    const iWon = result.winnerId === playerId;
+    const loser = iWon ? 'Your opponent' : 'You';
+    const reasons = {
+      noPieces: `${loser} had no pieces left.`,
+      noMoves: `${loser} had no legal moves left.`,
+      timeout: `${loser} ran out of time.`,
+      resigned: `${loser} resigned.`,
+      abandoned: `${loser} left the game.`,
+      ...drawReasons
+    };
+    return {
+      title: !result.winnerId ? 'Draw' : iWon ? 'You won!' : 'You lost',
+      detail: reasons[result.reason] || ''
     };
-    
-    const chineseSymbol = symbols[piece.color][piece.type];
-    const englishLetter = englishAbbr[piece.type];
-    
-    return (
-      <div className="flex flex-col items-center">
-        <div>{chineseSymbol}</div>
-        <div className="text-xs mt-[-5px]">{englishLetter}</div>
-      </div>
-    );
   };
-  
+
   // If board hasn't been initialized yet
   if (!board) {
     return (
@@ -621,13 +1734,55 @@ function BanqiGame({ socket, gameCode, isCreator }) {
     );
   }
   
+  // The finished game, from the deal the server sends with the result
+  if (showReplay && gameResult && gameResult.initialBoard) {
+    return (
+      <ReplayViewer
+        initialBoard={gameResult.initialBoard}
+        moves={history}
+        rules={gameRules}
+        onClose={() => setShowReplay(false)}
+      />
+    );
+  }
+  
   return (
     <div className="flex flex-col items-center justify-center">
       <div className="relative mb-4 p-3 bg-amber-100 rounded-lg text-amber-800 font-medium">
         <div id="move-feedback" className="hidden absolute top-0 left-0 w-full bg-red-500 text-white text-center font-bold py-1 rounded-t-lg transition-opacity">
           Invalid Move
         </div>
+        {Object.values(names).some(Boolean) && (
+          <div className="mb-1 text-sm text-amber-900">
+            {Object.keys(names).map(id => (id === playerId && names[id] ? `You (${names[id]})` : nameOf(id))).join(' vs ')}
+          </div>
+        )}
         {message}
+        {clock && (
+          <div className="mt-2 flex gap-2">
+            {Object.keys(clock.remaining).map((id) => {
+              const color = seatColors[id];
+              const label = spectator ? `${nameOf(id)}${color ? ` (${color})` : ''}` : id === playerId ? 'You' : nameOf(id);
+              const low = clockTime(id) < 10000;
+              return (
+                <div
+                  key={id}
+                  className={`flex-1 px-3 py-1 rounded text-center ${clock.running === id ? 'bg-amber-700 text-white' : 'bg-white text-amber-900'}`}
+                >
+                  <div className="text-xs">{label}</div>
+                  <div className={`font-mono text-xl ${low && clock.running === id ? 'text-red-300' : ''}`}>
+                    {formatClock(clockTime(id))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        {spectatorCount > 0 && (
+          <div className="mt-1 text-xs text-amber-700">
+            {spectatorCount} {spectatorCount === 1 ? 'person' : 'people'} watching
+          </div>
+        )}
         {playerColor && (
           <div className="mt-2 text-sm flex justify-between items-center">
             <div>
@@ -641,36 +1796,193 @@ function BanqiGame({ socket, gameCode, isCreator }) {
               <div className={`w-4 h-4 rounded-full ${playerColor === 'red' ? 'bg-red-600' : 'bg-gray-800'}`}></div>
               <div className="text-xs">You</div>
               <div className={`w-4 h-4 rounded-full ${opponentColor === 'red' ? 'bg-red-600' : 'bg-gray-800'}`}></div>
-              <div className="text-xs">Opponent</div>
+              <div className="text-xs">{nameOf(opponentId)}</div>
             </div>
           </div>
         )}
       </div>
       
-      <div className="mb-6 bg-amber-800 p-4 rounded-lg shadow-lg">
-        <div className="grid grid-cols-8 gap-1">
-          {board.map((row, rowIndex) => 
-            row.map((piece, colIndex) => (
-              <div 
-                id={`square-${rowIndex}-${colIndex}`}
-                key={`${rowIndex}-${colIndex}`}
-                onClick={() => handleSquareClick(rowIndex, colIndex)}
-                className={`
-                  w-12 h-12 md:w-16 md:h-16 flex items-center justify-center 
-                  text-xl md:text-2xl font-bold rounded cursor-pointer
-                  ${piece && !piece.faceUp ? 'bg-amber-600' : 'bg-amber-200'}
-                  ${selectedPiece && selectedPiece.row === rowIndex && selectedPiece.col === colIndex ? 'ring-4 ring-yellow-400' : ''}
-                  ${validMoveSquares.validMoves.some(([r, c]) => r === rowIndex && c === colIndex) ? 'ring-2 ring-gray-500' : ''}
-                  ${validMoveSquares.captureableMoves.some(([r, c]) => r === rowIndex && c === colIndex) ? 'ring-2 ring-green-500' : ''}
-                  ${piece && piece.faceUp ? (piece.color === 'red' ? 'text-red-600' : 'text-gray-800') : 'text-amber-800'}
-                  transition-all duration-200 hover:bg-amber-300 hover:scale-105
-                `}
+      {gamePhase === 'gameOver' && gameResult && (
+        <div className="mb-4 p-4 w-full max-w-md bg-white border-2 border-amber-700 rounded-lg shadow text-center">
+          <h2 className={`text-2xl font-bold ${spectator ? 'text-amber-900' : gameResult.winnerId === playerId ? 'text-green-700' : 'text-red-700'}`}>
+            {describeResult(gameResult).title}
+          </h2>
+          <p className="mt-1 text-amber-900">{describeResult(gameResult).detail}</p>
+          {gameResult.winner && !spectator && (
+            <p className="mt-1 text-sm text-gray-600">{gameResult.winner.toUpperCase()} wins</p>
+          )}
+          {gameResult.ratings && (
+            <p className="mt-1 text-sm text-amber-900">
+              {Object.entries(gameResult.ratings).map(([id, { before, after }]) => (
+                `${id === playerId ? 'Your rating' : nameOf(id)}: ${before} → ${after} (${after >= before ? '+' : ''}${after - before})`
+              )).join(' · ')}
+            </p>
+          )}
+          {gameResult.seed && (
+            <p className="mt-1 text-xs text-gray-500">Deal seed: <span className="font-mono">{gameResult.seed}</span></p>
+          )}
+          <div className="mt-3 flex justify-center gap-2">
+            <button
+              onClick={() => setShowReplay(true)}
+              className="py-1 px-3 bg-green-600 text-white text-sm rounded hover:bg-green-700"
+            >
+              Watch Replay
+            </button>
+            <button
+              onClick={() => socket.emit('exportGame')}
+              className="py-1 px-3 bg-amber-600 text-white text-sm rounded hover:bg-amber-700"
+            >
+              Download Game
+            </button>
+            {!spectator && (
+              <button
+                onClick={requestRematch}
+                disabled={!!rematchRequest}
+                className="py-1 px-3 bg-amber-800 text-white text-sm rounded hover:bg-amber-900 disabled:opacity-50"
               >
-                {getPieceSymbol(piece)}
+                Rematch
+              </button>
+            )}
+          </div>
+          {rematchRequest && (
+            <div className="mt-3 text-sm text-amber-900">
+              {rematchRequest.requestedBy === playerId ? (
+                <span>Waiting for your opponent to accept the rematch...</span>
+              ) : spectator ? (
+                <span>A player has asked for a rematch...</span>
+              ) : (
+                <div className="flex items-center justify-center gap-2">
+                  <span>Your opponent wants a rematch.</span>
+                  <button onClick={() => respondRematch(true)} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700">
+                    Accept
+                  </button>
+                  <button onClick={() => respondRematch(false)} className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700">
+                    Decline
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      
+      {drawOffer && gamePhase === 'playing' && (
+        <div className="mb-4 p-3 w-full max-w-md bg-white border border-amber-600 rounded-lg text-amber-900 text-center">
+          {drawOffer.offeredBy === playerId ? (
+            <span>Waiting for your opponent to answer your draw offer...</span>
+          ) : spectator ? (
+            <span>A player has offered a draw...</span>
+          ) : (
+            <div className="flex items-center justify-between gap-2">
+              <span>Your opponent offers a draw.</span>
+              <div className="flex gap-2">
+                <button onClick={() => respondDraw(true)} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700">
+                  Accept
+                </button>
+                <button onClick={() => respondDraw(false)} className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700">
+                  Decline
+                </button>
               </div>
-            ))
+            </div>
+          )}
+        </div>
+      )}
+      
+      {undoRequest && (
+        <div className="mb-4 p-3 w-full max-w-md bg-white border border-amber-600 rounded-lg text-amber-900 text-center">
+          {undoRequest.requestedBy === playerId ? (
+            <span>Waiting for your opponent to answer your takeback request...</span>
+          ) : spectator ? (
+            <span>A player has asked to take back a move...</span>
+          ) : (
+            <div className="flex items-center justify-between gap-2">
+              <span>Your opponent asks to take back {undoRequest.plies === 1 ? 'their last move' : `the last ${undoRequest.plies} moves`}.</span>
+              <div className="flex gap-2">
+                <button onClick={() => respondUndo(true)} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700">
+                  Accept
+                </button>
+                <button onClick={() => respondUndo(false)} className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700">
+                  Decline
+                </button>
+              </div>
+            </div>
           )}
         </div>
+      )}
+      
+      <div className="flex flex-col md:flex-row gap-4 items-start">
+        <div className="mb-6 bg-amber-800 p-4 rounded-lg shadow-lg">
+          <div className="grid grid-cols-8 gap-1">
+            {board.map((row, rowIndex) => 
+              row.map((piece, colIndex) => (
+                <div 
+                  id={`square-${rowIndex}-${colIndex}`}
+                  key={`${rowIndex}-${colIndex}`}
+                  onClick={() => handleSquareClick(rowIndex, colIndex)}
+                  className={`
+                    w-12 h-12 md:w-16 md:h-16 flex items-center justify-center 
+                    text-xl md:text-2xl font-bold rounded cursor-pointer
+                    ${piece && !piece.faceUp ? 'bg-amber-600' : 'bg-amber-200'}
+                    ${selectedPiece && selectedPiece.row === rowIndex && selectedPiece.col === colIndex ? 'ring-4 ring-yellow-400' : ''}
+                    ${validMoveSquares.validMoves.some(([r, c]) => r === rowIndex && c === colIndex) ? 'ring-2 ring-gray-500' : ''}
+                    ${validMoveSquares.captureableMoves.some(([r, c]) => r === rowIndex && c === colIndex) ? 'ring-2 ring-green-500' : ''}
+                    ${piece && piece.faceUp ? (piece.color === 'red' ? 'text-red-600' : 'text-gray-800') : 'text-amber-800'}
+                    transition-all duration-200 hover:bg-amber-300 hover:scale-105
+                  `}
+                >
+                  {getPieceSymbol(piece)}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      
+        <div className="mb-6 w-full md:w-56 bg-white rounded-lg shadow p-3">
+          <div className="flex flex-wrap items-center justify-between gap-1 mb-2">
+            <h3 className="font-bold text-amber-800">Moves</h3>
+            {gamePhase === 'playing' && !spectator && (
+              <div className="flex gap-1">
+                {!rated && (
+                  <button
+                    onClick={requestUndo}
+                    disabled={!!undoRequest || !history.some(entry => entry.playerId === playerId)}
+                    className="px-2 py-1 text-xs bg-amber-600 text-white rounded hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    Request Undo
+                  </button>
+                )}
+                <button
+                  onClick={offerDraw}
+                  disabled={!!drawOffer}
+                  className="px-2 py-1 text-xs bg-amber-600 text-white rounded hover:bg-amber-700 disabled:opacity-50"
+                >
+                  Offer Draw
+                </button>
+                <button
+                  onClick={resign}
+                  className="px-2 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700"
+                >
+                  Resign
+                </button>
+              </div>
+            )}
+          </div>
+          <ol ref={moveListRef} className="h-64 overflow-y-auto text-sm font-mono">
+            {history.length === 0 && <li className="text-gray-500">No moves yet</li>}
+            {history.map((entry, index) => (
+              <li key={index} className={entry.color === 'red' ? 'text-red-600' : 'text-gray-800'}>
+                {index + 1}. {describeMove(entry)}
+              </li>
+            ))}
+          </ol>
+          {drawCount && gamePhase === 'playing' && drawCount.quietPlies >= drawCount.moveLimit / 2 && (
+            <p className="mt-2 text-xs text-amber-700">
+              {drawCount.quietPlies} of {drawCount.moveLimit} moves without a flip or capture before a draw
+            </p>
+          )}
+        </div>
+        
+        <ChatPanel socket={socket} chat={chat} error={chatError} labelFor={chatSender} />
       </div>
     </div>
   );
@@ -0,0 +1,129 @@
+// Self-play tournament: plays two players against each other without a server
+// and reports how it went. For tuning the computer opponent and checking rule
+// changes for balance.
+//
+//   node scripts/tournament.js <player> <player> [options]
+//   npm run tournament -- medium hard --games 200 --seed tuning
+//
+// A player is a built-in difficulty (easy, medium, hard) or the path to a bot
+// script: a module exporting chooseMove(view), as described at the top of
+// lib/self-play.js (bots/random-player.js is an example). Options:
+//
+//   --games <n>        games to play (default 100), each deal twice
+//   --seed <text>      deal from this seed, so the tournament can be replayed
+//   --rules <list>     house rules, e.g. chainedCaptures,soldierCapturesGeneral=false
+//   --move-limit <n>   plies without a flip or capture before a draw (0 for none)
+//   --verbose          print every game
+//   --json             print the summary as JSON
+import crypto from 'crypto';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { RULE_VARIANTS, normalizeRules } from '../shared/banqi-rules.js';
+import { DIFFICULTIES } from '../lib/ai.js';
+import { DEFAULT_MOVE_LIMIT } from '../lib/draws.js';
+import { builtInPlayer, runTournament, summarize } from '../lib/self-play.js';
+
+const USAGE = 'Usage: node scripts/tournament.js <player> <player> [--games n] [--seed text] ' +
+  '[--rules list] [--move-limit n] [--verbose] [--json]';
+
+function fail(message) {
+  console.error(`${message}\n${USAGE}`);
+  process.exit(1);
+}
+
+async function loadPlayer(spec) {
+  if (DIFFICULTIES[spec]) return builtInPlayer(spec);
+  if (!spec.endsWith('.js') && !spec.endsWith('.mjs')) {
+    fail(`"${spec}" is neither a difficulty (${Object.keys(DIFFICULTIES).join(', ')}) nor a bot script`);
+  }
+  const bot = await import(pathToFileURL(path.resolve(spec)).href);
+  const chooseMove = bot.chooseMove || bot.default;
+  if (typeof chooseMove !== 'function') fail(`${spec} does not export chooseMove`);
+  return { name: path.basename(spec, path.extname(spec)), chooseMove };
+}
+
+// "chainedCaptures,soldierCapturesGeneral=false" -> a ruleset
+function parseRules(list) {
+  const requested = {};
+  for (const item of list.split(',').filter(Boolean)) {
+    const [name, value = 'true'] = item.split('=');
+    if (!RULE_VARIANTS[name] || !['true', 'false'].includes(value)) {
+      fail(`Unknown rule "${item}" (rules: ${Object.keys(RULE_VARIANTS).join(', ')})`);
+    }
+    requested[name] = value === 'true';
+  }
+  return normalizeRules(requested);
+}
+
+function parseCount(value, name, min) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) fail(`--${name} must be a whole number of at least ${min}`);
+  return count;
+}
+
+const percent = (count, total) => `${(total ? (100 * count) / total : 0).toFixed(1)}%`;
+
+function report(names, summary, options, seconds) {
+  const width = Math.max(...names.map(name => name.length), 'draws'.length);
+  const { games, wins, draws, reasons } = summary;
+  console.log(`${names[0]} vs ${names[1]}: ${games} games, seed ${options.seed}, move limit ${options.moveLimit || 'off'}`);
+  names.forEach((name, i) => {
+    console.log(`  ${name.padEnd(width)}  wins ${String(wins[i]).padStart(5)}  ${percent(wins[i], games).padStart(6)}` +
+      `  ${summary.averageMoveMs[i].toFixed(2)} ms per move`);
+  });
+  console.log(`  ${'draws'.padEnd(width)}       ${String(draws).padStart(5)}  ${percent(draws, games).padStart(6)}`);
+  console.log(`  endings: ${Object.entries(reasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+  console.log(`  average length: ${summary.averagePlies.toFixed(1)} plies`);
+  console.log(`  took ${seconds.toFixed(1)} s (${games ? ((1000 * seconds) / games).toFixed(0) : 0} ms per game)`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      games: { type: 'string', default: '100' },
+      seed: { type: 'string' },
+      rules: { type: 'string', default: '' },
+      'move-limit': { type: 'string', default: String(DEFAULT_MOVE_LIMIT) },
+      verbose: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  if (positionals.length !== 2) fail('Name two players.');
+
+  const players = [await loadPlayer(positionals[0]), await loadPlayer(positionals[1])];
+  const names = players[0].name === players[1].name
+    ? players.map((player, i) => `${player.name} (${i + 1})`)
+    : players.map(player => player.name);
+  const options = {
+    games: parseCount(values.games, 'games', 1),
+    seed: values.seed || crypto.randomUUID(),
+    rules: parseRules(values.rules),
+    moveLimit: parseCount(values['move-limit'], 'move-limit', 0)
+  };
+
+  const started = performance.now();
+  const results = await runTournament({
+    players,
+    ...options,
+    onGame: (result, i) => {
+      if (!values.verbose) return;
+      const outcome = result.winner === null ? 'draw' : `${names[result.winner]} won`;
+      console.log(`game ${i + 1}: ${outcome} (${result.reason}) in ${result.plies} plies, deal ${result.seed}`);
+    }
+  });
+  const seconds = (performance.now() - started) / 1000;
+  const summary = summarize(results);
+
+  if (values.json) {
+    console.log(JSON.stringify({ players: names, ...options, ...summary, seconds }, null, 2));
+  } else {
+    report(names, summary, options, seconds);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,15 +1,91 @@
 // Banqi game server
 // Run with:  node server.js
+// Tests import it instead and call start() and stop() themselves.
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  dealGame,
+  playMove,
+  replayMoves,
+  cloneBoard,
+  getLossReason,
+  oppositeColor,
+  normalizeRules,
+  getLegalMoves,
+  redactBoard
+} from './shared/banqi-rules.js';
+import { formatGame, parseGame, formatMove } from './shared/banqi-notation.js';
+import { chooseMove, acceptsDraw, DIFFICULTIES, DEFAULT_DIFFICULTY } from './lib/ai.js';
+import { createStorageFromEnv } from './lib/storage.js';
+import { createAccounts } from './lib/accounts.js';
+import { rateGame, DEFAULT_RATING } from './lib/rating.js';
+import { createMatchQueue } from './lib/matchmaking.js';
+import { createChat, addMessage, messageText, MAX_MESSAGE_LENGTH } from './lib/chat.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { validatePayload } from './lib/validation.js';
+import { DEFAULT_MOVE_LIMIT, countPosition, getDrawReason } from './lib/draws.js';
+import { logger } from './lib/logger.js';
+import {
+  parseTimeControl,
+  createClock,
+  timeLeft,
+  startTurn,
+  stopClock,
+  addIncrement,
+  clockSnapshot
+} from './lib/clock.js';
 
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer);
 
 app.use(express.static('public'));           // serves index.html + client JS
+app.use('/shared', express.static('shared')); // rules engine shared with the browser
+
+// Best-rated players, for the lobby: /leaderboard?limit=10
+app.get('/leaderboard', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  res.json(accounts.leaderboard(limit));
+});
+
+// Read-only game API, for dashboards, bots and scripts that don't speak
+// Socket.IO. Players and spectators see the same things here as in the
+// browser: face-down pieces stay hidden until the game is over. Errors are
+// JSON { code, message }, like socket errors.
+//   GET /api/games               games still being played (as in the lobby)
+//   GET /api/games/:code         one game: players, board, moves, clock, result
+//   GET /api/games/:code/export  a finished game in Banqi notation
+app.get('/api/games', (req, res) => {
+  res.json(listGames());
+});
+
+app.get('/api/games/:code', (req, res) => {
+  const game = describeGame(req.params.code);
+  if (!game) return res.status(404).json({ code: 'GAME_NOT_FOUND', message: 'Game not found' });
+  res.json(game);
+});
+
+app.get('/api/games/:code/export', (req, res) => {
+  const gameState = banqiGames.get(req.params.code);
+  if (!gameState) return res.status(404).json({ code: 'GAME_NOT_FOUND', message: 'Game not found' });
+  if (!gameState.result) {
+    return res.status(409).json({ code: 'GAME_NOT_OVER', message: 'A game can only be downloaded once it is over' });
+  }
+  res.type('text/plain').attachment(`banqi-${req.params.code}.txt`).send(exportRecord(gameState));
+});
+
+// Where games are saved so they survive a restart (see lib/storage.js)
+const storage = createStorageFromEnv();
+
+// Player accounts, stored next to the games (see lib/accounts.js)
+const accounts = createAccounts(createStorageFromEnv(process.env, {
+  dirVariable: 'ACCOUNT_DATA_DIR',
+  defaultDir: path.join('data', 'accounts')
+}));
 
 // Map to store active games
 const activeGames = new Map();
@@ -17,633 +93,1870 @@ const activeGames = new Map();
 // Store Banqi game states shared across all sockets
 const banqiGames = new Map();
 
-// Store which player controls which color
-const playerColors = new Map();
+// Player sessions, keyed by the secret token each player gets on create/join.
+// The token lets a player take their seat back after a refresh or network blip.
+const sessions = new Map(); // token -> { gameCode, playerId, playerNumber }
+
+// Seats being held for disconnected players, keyed by player ID
+const disconnectTimers = new Map();
+
+// Players waiting for a Quick Match (see lib/matchmaking.js)
+const matchQueue = createMatchQueue();
+
+// The limits below are per client (see clientKey): a signed-in player's
+// account, which reconnecting doesn't start over, otherwise a guest's own
+// seat or connection
+
+// Chat messages (emotes included) each client may send: 5 per 10 seconds
+const chatLimiter = createRateLimiter({ limit: 5, windowMs: 10000 });
+
+// Events of any kind each client may send: 40 per 10 seconds, plenty for
+// clicking through a game
+const eventLimiter = createRateLimiter({ limit: 40, windowMs: 10000 });
+
+// Games each client may create (directly, from a record or through Quick
+// Match): 10 per 10 minutes
+const gameLimiter = createRateLimiter({ limit: 10, windowMs: 10 * 60000 });
+
+// Flag-fall timers for timed games, keyed by game code (see lib/clock.js)
+const clockTimers = new Map();
 
 // Game types
 const GAME_TYPE = 'banqi';
 
-// === Helper: generate a fresh shuffled Banqi board ===
-function generateBanqiBoard() {
-  const pieceTypes = {
-    GENERAL: { rank: 7, count: 1 },
-    ADVISOR: { rank: 6, count: 2 },
-    ELEPHANT: { rank: 5, count: 2 },
-    CHARIOT: { rank: 4, count: 2 },
-    HORSE: { rank: 3, count: 2 },
-    CANNON: { rank: 2, count: 2 },
-    SOLDIER: { rank: 1, count: 5 }
+// How long the computer opponent "thinks" before moving, so humans can follow
+const AI_MOVE_DELAY_MS = 700;
+
+// How long a disconnected player's seat is held before they count as gone
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// A logger whose entries carry a game's code, to follow one game through the log
+function gameLog(gameCode) {
+  return logger.child({ game: gameCode });
+}
+
+// Who a socket counts as for the rate limits; the bot API uses the same keys.
+// A guest is their seat, which a rejoin keeps, or else their connection. Not
+// their address: behind a tunnel such as cloudflared every guest has the same.
+function clientKey(socket) {
+  if (socket.data.account) return `account:${socket.data.account}`;
+  return socket.data.playerId ? `seat:${socket.data.playerId}` : `socket:${socket.id}`;
+}
+
+// Errors go to a client as { code, message }: a code the client can act on
+// and a message to show the player. Most arrive as 'error' events; account,
+// chat and rejoin failures have events of their own. The codes:
+//   UNKNOWN_EVENT, INVALID_REQUEST  the event or its payload (lib/validation.js)
+//   RATE_LIMITED                    too many events or chat messages at once
+//   TOO_MANY_GAMES                  this client created too many games lately
+//   SIGN_IN_REQUIRED                rated games need an account
+//   GAME_NOT_FOUND, GAME_FULL, WRONG_GAME_TYPE, ALREADY_PLAYING,
+//   SEAT_TAKEN_OVER, GAME_NOT_OVER, BAD_RECORD
+//   SESSION_EXPIRED and the codes in lib/accounts.js   (accountError)
+//   INVALID_MESSAGE, UNKNOWN_EMOTE                      (chatError)
+function sendError(socket, code, message, event = 'error') {
+  socket.emit(event, { code, message });
+}
+
+// Helper to pick the seed for a new deal: the requested one if usable,
+// otherwise a fresh random one. The seed is kept in the game state so any deal
+// can be replayed, but is only sent to players once the game is over, since
+// the seed alone reproduces the hidden layout.
+function resolveSeed(requested) {
+  if (typeof requested === 'string' && requested.length > 0 && requested.length <= 64) {
+    return requested;
+  }
+  if (typeof requested === 'number' && Number.isFinite(requested)) {
+    return String(requested);
+  }
+  return crypto.randomUUID();
+}
+
+// Helper to pick a game's no-progress move limit: the requested number of
+// plies if usable, otherwise the default
+function resolveMoveLimit(requested) {
+  const plies = Number(requested);
+  if (plies === 0) return 0;
+  if (Number.isInteger(plies) && plies >= 10 && plies <= 1000) return plies;
+  return DEFAULT_MOVE_LIMIT;
+}
+
+// Helper to map a deal's first seat (1 or 2) to that player's ID
+function firstPlayerId(gameState) {
+  return gameState.firstSeat === 1 ? gameState.player1 : gameState.player2;
+}
+
+// Helper to find who moves next: the first seat before any move, afterwards
+// whoever did not make the last one. A seat-2 move recorded before anyone
+// took that seat (see loadRecord) has no player ID.
+function playerToMove(gameState) {
+  const last = gameState.history[gameState.history.length - 1];
+  if (!last) return firstPlayerId(gameState);
+  if (gameState.chain) return last.playerId; // still capturing
+  return last.playerId === gameState.player1 ? gameState.player2 : gameState.player1;
+}
+
+// Helper to build a history entry for a played move. Everything in here is
+// public once the move is made.
+function historyEntry(move, outcome, playerId) {
+  const { fromRow, fromCol, toRow, toCol } = move;
+  const movedPiece = outcome.revealedPiece || outcome.board[toRow][toCol];
+  const publicPiece = piece => piece && { type: piece.type, color: piece.color, rank: piece.rank };
+  return {
+    fromRow,
+    fromCol,
+    toRow,
+    toCol,
+    type: outcome.type,
+    playerId,
+    color: outcome.mover,
+    piece: publicPiece(movedPiece),
+    capturedPiece: publicPiece(outcome.capturedPiece)
   };
-  const pieces = [];
-  for (const type in pieceTypes) {
-    for (let i = 0; i < pieceTypes[type].count; i++) {
-      pieces.push({ type, color: 'red', rank: pieceTypes[type].rank });
-    }
+}
+
+// Helper to deal a fresh board into a game state and clear everything that
+// belongs to the previous deal. Players keep their seats; the first turn is
+// only handed out once both seats are filled. The deal picks the first seat
+// unless `firstSeat` is given (rematches alternate it).
+function dealNewBoard(gameState, seed, firstSeat = null) {
+  const deal = dealGame(seed);
+  const { board } = deal;
+  Object.assign(gameState, {
+    seed,
+    firstSeat: firstSeat || deal.firstSeat, // seat that moves first
+    board,
+    initialBoard: cloneBoard(board), // the deal as dealt, for undo and replays
+    history: [], // every validated move, in order
+    chain: null, // [row, col] of a piece that must capture again (chained captures rule)
+    pendingUndo: null, // { requestedBy, plies } while a takeback awaits an answer
+    pendingDraw: null, // { offeredBy } while a draw offer awaits an answer
+    pendingRematch: null, // { requestedBy } once the game is over
+    firstPieceRevealed: false,
+    firstPieceColor: null,
+    firstRevealPlayerId: null,
+    colors: {}, // player ID -> color, fixed by the first reveal
+    currentPlayer: null,
+    turnCount: 0,
+    lastProgressTurn: 0, // turnCount after the last flip or capture
+    positionCounts: {}, // positionKey -> times reached since then
+    revealedPieces: {},
+    capturedPieces: [], // public knowledge, used to work out what is still face-down
+    clock: null, // started once both seats are filled, if the game is timed
+    result: null // set once the game is over
+  });
+  gameState.playerTurn = gameState.player1 && gameState.player2 ? firstPlayerId(gameState) : null;
+  return gameState;
+}
+
+// Helper to issue a seat to a player: a public player ID, shared with the
+// opponent, and a secret session token only this player gets
+function createSession(gameCode, playerNumber) {
+  const playerId = crypto.randomUUID();
+  const token = crypto.randomUUID();
+  sessions.set(token, { gameCode, playerId, playerNumber });
+  return { playerId, token };
+}
+
+// Helper to build the computer player that sits in seat 2 of a game
+function createComputerPlayer(gameCode, difficulty) {
+  const playerId = `computer-${gameCode}`;
+  return {
+    playerId,
+    difficulty,
+    // Stands in for a socket when the computer's moves go through handleMove
+    actor: { id: playerId, data: { playerId, playerNumber: 2 }, emit: () => {} }
+  };
+}
+
+// Helper to forget every session belonging to a game
+function clearSessions(gameCode) {
+  for (const [token, session] of sessions) {
+    if (session.gameCode === gameCode) sessions.delete(token);
+  }
+}
+
+// Helper to name the players of a game, seat 1 first: the account name,
+// 'Computer', or null for a guest who isn't signed in
+function playerNames(gameState) {
+  const names = {};
+  for (const id of [gameState.player1, gameState.player2]) {
+    if (!id) continue;
+    names[id] = gameState.ai && gameState.ai.playerId === id ? 'Computer' : (gameState.accounts || {})[id] || null;
+  }
+  return names;
+}
+
+// Send the (redacted) game state to a room or a single socket
+function emitGameState(target, gameState) {
+  target.emit('gameStateUpdate', {
+    board: redactBoard(gameState.board),
+    currentPlayer: gameState.currentPlayer,
+    playerTurn: gameState.playerTurn,
+    colors: gameState.colors,
+    names: playerNames(gameState),
+    history: gameState.history,
+    rules: gameState.rules,
+    chain: gameState.chain,
+    quietPlies: gameState.turnCount - gameState.lastProgressTurn,
+    moveLimit: gameState.moveLimit,
+    clock: gameState.clock && clockSnapshot(gameState.clock, Date.now())
+  });
+}
+
+// Helper to build the gameOver payload. Nothing is hidden any more, so the
+// final board goes out unredacted.
+function gameOverPayload(gameState) {
+  return {
+    ...gameState.result,
+    board: gameState.board,
+    initialBoard: gameState.initialBoard, // the whole deal, for the replay viewer
+    seed: gameState.seed, // safe to share now, lets players replay the deal
+    gameType: GAME_TYPE
+  };
+}
+
+// Helper to bring one socket up to date with a game: the board, whether
+// play has started and, if it has ended, the result
+function syncSocket(socket, gameState) {
+  if (gameState.player1 && gameState.player2) {
+    socket.emit('gameReady', { isReady: true, gameType: GAME_TYPE });
+  }
+  emitGameState(socket, gameState);
+  if (gameState.result) {
+    socket.emit('gameOver', gameOverPayload(gameState));
   }
-  for (const type in pieceTypes) {
-    for (let i = 0; i < pieceTypes[type].count; i++) {
-      pieces.push({ type, color: 'black', rank: pieceTypes[type].rank });
+  socket.emit('chatHistory', visibleChat(socket, gameState));
+}
+
+// The chat a socket may read: the players' channel always, the spectators'
+// channel only for spectators until the game is over
+function visibleChat(socket, gameState) {
+  const showSpectators = socket.data.spectating || Boolean(gameState.result);
+  return {
+    players: gameState.chat.players,
+    spectators: showSpectators ? gameState.chat.spectators : []
+  };
+}
+
+// Helper to run `fn` for every socket in a game's room
+function forEachInRoom(gameCode, fn) {
+  for (const id of io.sockets.adapter.rooms.get(gameCode) || []) {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) fn(socket);
+  }
+}
+
+// Send a new chat message to everyone allowed to read its channel
+function sendChat(gameCode, gameState, channel, message) {
+  if (channel === 'players') {
+    io.to(gameCode).emit('chat', { channel, message });
+    return;
+  }
+  forEachInRoom(gameCode, socket => {
+    if (socket.data.spectating || gameState.result) socket.emit('chat', { channel, message });
+  });
+}
+
+// Resend each socket in a game the chat it may read, after what it may read
+// has changed
+function sendChatHistory(gameCode, gameState) {
+  forEachInRoom(gameCode, socket => socket.emit('chatHistory', visibleChat(socket, gameState)));
+}
+
+// End a game: record the result, stop the clocks and tell the room
+function finishGame(gameCode, gameState, result) {
+  gameState.result = result;
+  gameState.playerTurn = null;
+  // Requests made during the game die with it
+  gameState.pendingUndo = null;
+  gameState.pendingDraw = null;
+  gameState.pendingRematch = null;
+  if (gameState.clock) stopClock(gameState.clock, Date.now());
+  armFlagTimer(gameCode);
+  if (gameState.rated) rateResult(gameState);
+  
+  // The seed is safe to log now that every piece is known
+  const { winner, winnerId, reason, ratings } = gameState.result;
+  gameLog(gameCode).info('Game over', { winner, winnerId, reason, seed: gameState.seed, ratings });
+  io.to(gameCode).emit('gameOver', gameOverPayload(gameState));
+  sendChatHistory(gameCode, gameState); // the players can read the spectators' channel now
+  linkGameToAccounts(gameCode, gameState);
+}
+
+// Move both players' ratings after a rated game, and note the change in the
+// result so the players can see it
+function rateResult(gameState) {
+  const { player1, player2, result } = gameState;
+  const [name1, name2] = [player1, player2].map(id => gameState.accounts[id]);
+  const before1 = name1 && accounts.stats(name1);
+  const before2 = name2 && accounts.stats(name2);
+  if (!before1 || !before2) return;
+  
+  const score = !result.winnerId ? 0.5 : result.winnerId === player1 ? 1 : 0;
+  const [after1, after2] = rateGame(before1.rating, before2.rating, score);
+  const outcome = s => (s === 1 ? 'win' : s === 0 ? 'loss' : 'draw');
+  accounts.recordRating(name1, after1, outcome(score));
+  accounts.recordRating(name2, after2, outcome(1 - score));
+  result.ratings = {
+    [player1]: { before: before1.rating, after: after1 },
+    [player2]: { before: before2.rating, after: after2 }
+  };
+}
+
+// Add a finished game to the record of each signed-in player who played it
+function linkGameToAccounts(gameCode, gameState) {
+  const names = playerNames(gameState);
+  const { result } = gameState;
+  for (const [playerId, username] of Object.entries(gameState.accounts || {})) {
+    if (!username) continue;
+    const opponentId = playerId === gameState.player1 ? gameState.player2 : gameState.player1;
+    accounts.recordGame(username, {
+      code: gameCode,
+      opponent: names[opponentId] || null,
+      result: !result.winnerId ? 'draw' : result.winnerId === playerId ? 'win' : 'loss',
+      reason: result.reason,
+      endedAt: new Date().toISOString()
+    });
+  }
+}
+
+// Give both players a full clock and start it for whoever moves first. Only
+// timed games with both seats filled have a clock.
+function startClocks(gameCode, gameState) {
+  gameState.clock = null;
+  if (gameState.timeControl && gameState.player1 && gameState.player2) {
+    gameState.clock = createClock(gameState.timeControl, [gameState.player1, gameState.player2]);
+  }
+  switchClock(gameCode, gameState, null);
+}
+
+// Hand the clock to the player whose turn it now is. `moverId` is the player
+// who just completed a move and earns any increment; null when the turn
+// changed for another reason, such as a takeback.
+function switchClock(gameCode, gameState, moverId) {
+  const { clock } = gameState;
+  if (clock) {
+    const now = Date.now();
+    stopClock(clock, now);
+    if (moverId) addIncrement(clock, moverId);
+    if (!gameState.result && gameState.playerTurn) startTurn(clock, gameState.playerTurn, now);
+  }
+  armFlagTimer(gameCode);
+}
+
+// (Re)arm the timer that ends the game when the running clock reaches zero
+function armFlagTimer(gameCode) {
+  clearTimeout(clockTimers.get(gameCode));
+  clockTimers.delete(gameCode);
+  
+  const gameState = banqiGames.get(gameCode);
+  const clock = gameState && gameState.clock;
+  if (!clock || !clock.running || gameState.result) return;
+  clockTimers.set(gameCode, setTimeout(() => flagFall(gameCode), timeLeft(clock, clock.running, Date.now())));
+}
+
+// End a game as a loss for `loserId` that the board didn't decide, such as
+// running out of time or resigning
+function forfeitGame(gameCode, gameState, loserId, reason) {
+  const winnerId = loserId === gameState.player1 ? gameState.player2 : gameState.player1;
+  const loserColor = gameState.colors[loserId];
+  finishGame(gameCode, gameState, {
+    winner: loserColor ? oppositeColor(loserColor) : null, // colors may not be assigned yet
+    winnerId,
+    loserId,
+    reason
+  });
+  emitGameState(io.to(gameCode), gameState);
+  wakeBots(gameCode);
+  persistGame(gameCode);
+}
+
+// The running clock has reached zero: its player loses on time
+function flagFall(gameCode) {
+  const gameState = banqiGames.get(gameCode);
+  const clock = gameState && gameState.clock;
+  if (!clock || !clock.running || gameState.result) return;
+  if (timeLeft(clock, clock.running, Date.now()) > 0) {
+    armFlagTimer(gameCode); // woke up early
+    return;
+  }
+  
+  forfeitGame(gameCode, gameState, clock.running, 'timeout');
+}
+
+// Helper to count the sockets watching a game without a seat
+function countSpectators(gameCode) {
+  let count = 0;
+  forEachInRoom(gameCode, socket => {
+    if (socket.data.spectating) count++;
+  });
+  return count;
+}
+
+// Every game still being played, for the lobby and the API: open ones to
+// join, and the rest to watch
+function listGames() {
+  const games = [];
+  for (const [code, info] of activeGames.entries()) {
+    const gameState = banqiGames.get(code);
+    if (!gameState || gameState.result) continue;
+    const clients = io.sockets.adapter.rooms.get(code);
+    const spectators = countSpectators(code);
+    const players = (clients ? clients.size : 0) - spectators;
+    games.push({
+      code: code,
+      createdAt: info.createdAt,
+      // The creator is waiting for an opponent (a bot waits without a socket)
+      open: !gameState.player2 && (players === 1 || Boolean(info.botCreator)),
+      players: Object.values(playerNames(gameState)),
+      vsComputer: Boolean(gameState.ai),
+      rated: Boolean(gameState.rated),
+      spectators
+    });
+  }
+  return games;
+}
+
+// One game as the API shows it: what a spectator sees, plus the result and
+// the whole deal once the game is over. Null if there is no such game.
+function describeGame(code) {
+  const info = activeGames.get(code);
+  const gameState = banqiGames.get(code);
+  if (!info || !gameState) return null;
+  
+  const names = playerNames(gameState);
+  const { result } = gameState;
+  return {
+    code,
+    createdAt: info.createdAt,
+    vsComputer: Boolean(gameState.ai),
+    difficulty: gameState.ai ? gameState.ai.difficulty : null,
+    rated: Boolean(gameState.rated),
+    rules: gameState.rules,
+    moveLimit: gameState.moveLimit,
+    players: [gameState.player1, gameState.player2].map((id, index) => id && {
+      id,
+      seat: index + 1,
+      name: names[id],
+      color: gameState.colors[id] || null
+    }).filter(Boolean),
+    spectators: countSpectators(code),
+    board: result ? gameState.board : redactBoard(gameState.board),
+    currentPlayer: gameState.currentPlayer,
+    playerTurn: gameState.playerTurn,
+    chain: gameState.chain,
+    quietPlies: gameState.turnCount - gameState.lastProgressTurn,
+    history: gameState.history,
+    clock: gameState.clock && clockSnapshot(gameState.clock, Date.now()),
+    result: result && { ...result, seed: gameState.seed, initialBoard: gameState.initialBoard }
+  };
+}
+
+// Tell everyone in a game how many people are watching it
+function emitSpectatorCount(gameCode) {
+  io.to(gameCode).emit('spectatorCount', { count: countSpectators(gameCode) });
+}
+
+// Open a new game with its creator in seat 1: freshly dealt, or set up from
+// an imported game record. `account` is the creator's username, null for a
+// guest. Returns { error } (a { code, message }) if the game can't be opened,
+// otherwise { gameCode, seat } where `seat` is what the creator is told
+// ('gameCreated'). Put the creator in the game's room before starting a game
+// against the computer with startComputerGame.
+function setUpGame(data, account, record = null) {
+  // A computer opponent takes the second seat when requested
+  const vsComputer = Boolean(data.vsComputer);
+  const difficulty = DIFFICULTIES[data.difficulty] ? data.difficulty : DEFAULT_DIFFICULTY;
+  const timeControl = parseTimeControl(data.timeControl); // null for an untimed game
+  const rules = record ? record.rules : normalizeRules(data.rules); // a loaded game keeps its own
+  const moveLimit = resolveMoveLimit(data.moveLimit);
+  
+  // Rated games are between two signed-in players, from a fresh deal. The
+  // rules engine is public, so a creator who picked the seed would know
+  // every face-down piece.
+  const rated = Boolean(data.rated) && !vsComputer && !record;
+  if (rated && !account) {
+    return { error: { code: 'SIGN_IN_REQUIRED', message: 'Sign in to play rated games.' } };
+  }
+  if (rated && data.seed !== undefined && data.seed !== null) {
+    return { error: { code: 'INVALID_REQUEST', message: 'Rated games are always dealt from a random seed.' } };
+  }
+  
+  // Generate a unique game code and give the creator seat 1
+  const gameCode = crypto.randomUUID().substring(0, 8);
+  const { playerId, token } = createSession(gameCode, 1);
+  activeGames.set(gameCode, {
+    creator: playerId,
+    createdAt: new Date(),
+    gameType: GAME_TYPE,
+    vsComputer,
+    rated
+  });
+  
+  const gameState = {
+    player1: playerId,
+    player2: null,
+    accounts: { [playerId]: account || null }, // player ID -> username, null for guests
+    timeControl,
+    rules,
+    moveLimit,
+    rated,
+    chat: createChat()
+  };
+  if (vsComputer) {
+    gameState.ai = createComputerPlayer(gameCode, difficulty);
+    gameState.player2 = gameState.ai.playerId;
+  }
+  if (record) {
+    loadRecord(gameState, record);
+    gameLog(gameCode).info('Game loaded from a record', { player: playerId, moves: gameState.history.length, vsComputer, rated });
+  } else {
+    dealNewBoard(gameState, resolveSeed(data.seed));
+    gameLog(gameCode).info('Game created', { player: playerId, vsComputer, rated, moveLimit, timeControl: timeControl && timeControl.type });
+  }
+  banqiGames.set(gameCode, gameState);
+  persistGame(gameCode);
+  
+  return {
+    gameCode,
+    seat: {
+      gameCode,
+      playerNumber: 1,
+      playerId,
+      sessionToken: token, // lets this player rejoin after a refresh
+      gameType: GAME_TYPE,
+      vsComputer,
+      difficulty: vsComputer ? difficulty : null,
+      timeControl,
+      rules,
+      moveLimit,
+      rated
     }
+  };
+}
+
+// A game against the computer starts as soon as it is set up, since no one
+// else is coming
+function startComputerGame(gameCode) {
+  const gameState = banqiGames.get(gameCode);
+  startClocks(gameCode, gameState);
+  io.to(gameCode).emit('start', { gameType: GAME_TYPE });
+  io.to(gameCode).emit('gameReady', { isReady: true, gameType: GAME_TYPE });
+  emitGameState(io.to(gameCode), gameState);
+  wakeBots(gameCode);
+  persistGame(gameCode);
+  scheduleComputerTurn(gameCode);
+}
+
+// Give a game's second seat to a new player, `account` being their username
+// (null for a guest). Returns { error } if they can't have it, otherwise
+// { seat }, what they are told ('gameJoined'). Put them in the game's room,
+// then start play with startJoinedGame.
+function takeSecondSeat(gameCode, account) {
+  if (!activeGames.has(gameCode)) {
+    return { error: { code: 'GAME_NOT_FOUND', message: 'Game not found. Check your game code.' } };
+  }
+  const gameInfo = activeGames.get(gameCode);
+  if (gameInfo.gameType !== GAME_TYPE) {
+    return { error: { code: 'WRONG_GAME_TYPE', message: `This code is for a ${gameInfo.gameType} game, not a ${GAME_TYPE} game.` } };
+  }
+  
+  // The second seat stays taken while a disconnected player still has time
+  // to come back
+  const gameState = banqiGames.get(gameCode);
+  if (!gameState || gameState.player2) {
+    return { error: { code: 'GAME_FULL', message: 'Game is full. Try another code.' } };
+  }
+  if (gameState.rated && !account) {
+    return { error: { code: 'SIGN_IN_REQUIRED', message: 'Sign in to join a rated game.' } };
   }
-  // Fisher-Yates shuffle
-  for (let i = pieces.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
+  if (account && Object.values(gameState.accounts || {}).includes(account)) {
+    return { error: { code: 'ALREADY_PLAYING', message: 'You are already playing in this game.' } };
+  }
+  
+  // Register the second player; the deal decides who goes first
+  const { playerId, token } = createSession(gameCode, 2);
+  gameState.player2 = playerId;
+  gameState.accounts = { ...gameState.accounts, [playerId]: account || null };
+  
+  // An imported game may already have moves for this seat
+  for (const entry of gameState.history) {
+    if (!entry.playerId) entry.playerId = playerId;
+  }
+  if (gameState.firstPieceRevealed) {
+    gameState.colors[playerId] = oppositeColor(gameState.colors[gameState.player1]);
+  }
+  const { result } = gameState;
+  if (result && result.winner && !(result.winnerId && result.loserId)) {
+    // A finished imported game only knew this seat by its color
+    if (result.winnerId) result.loserId = playerId;
+    else result.winnerId = playerId;
+  }
+  gameState.playerTurn = gameState.result ? null : playerToMove(gameState);
+  startClocks(gameCode, gameState);
+  
+  return {
+    seat: {
+      gameCode,
+      playerNumber: 2,
+      playerId,
+      sessionToken: token, // lets this player rejoin after a refresh
+      gameType: GAME_TYPE,
+      rules: gameState.rules,
+      rated: Boolean(gameState.rated)
+    }
+  };
+}
+
+// Start play for both players once the second seat is taken
+function startJoinedGame(gameCode) {
+  const gameState = banqiGames.get(gameCode);
+  io.to(gameCode).emit('start', { gameType: GAME_TYPE });
+  io.to(gameCode).emit('gameReady', { isReady: true, gameType: GAME_TYPE });
+  gameLog(gameCode).info('Player joined', { player: gameState.player2, creator: gameState.player1, playerTurn: gameState.playerTurn });
+  emitGameState(io.to(gameCode), gameState);
+  wakeBots(gameCode);
+  persistGame(gameCode);
+}
+
+// A player is gone for good (left, or did not come back in time). The
+// creator leaving ends the game; the second player leaving frees their seat
+// and the board is dealt again for whoever joins next.
+function removePlayer(gameCode, playerId) {
+  const gameState = banqiGames.get(gameCode);
+  if (!gameState) return;
+  
+  // Walking out of a rated game part-way through loses it
+  const forfeited = gameState.rated && !gameState.result && gameState.history.length > 0;
+  if (forfeited) {
+    forfeitGame(gameCode, gameState, playerId, 'abandoned');
   }
-  // Build 4×8 board
-  const board = Array(4)
-    .fill()
-    .map(() => Array(8).fill(null));
-  let idx = 0;
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 8; c++) {
-      board[r][c] = { ...pieces[idx++], faceUp: false };
+  
+  // Notify remaining player that opponent left. After a forfeit their board
+  // isn't reset: the result and rating change stay on screen.
+  if (!forfeited) io.to(gameCode).emit('reset');
+  io.to(gameCode).emit('opponentLeft');
+  
+  if (gameState.player1 === playerId) {
+    gameLog(gameCode).info('Creator left, closing game', { player: playerId });
+    activeGames.delete(gameCode);
+    banqiGames.delete(gameCode);
+    clearSessions(gameCode);
+  } else if (gameState.player2 === playerId) {
+    gameLog(gameCode).info('Player left, seat 2 is open again', { player: playerId });
+    for (const [token, session] of sessions) {
+      if (session.playerId === playerId) sessions.delete(token);
     }
+    gameState.player2 = null;
+    if (gameState.accounts) delete gameState.accounts[playerId];
+    dealNewBoard(gameState, resolveSeed());
+    gameState.chat = createChat(); // whoever sits down next starts a fresh conversation
+    emitGameState(io.to(gameCode), gameState);
+    sendChatHistory(gameCode, gameState);
   }
-  return board;
+  
+  wakeBots(gameCode);
+  armFlagTimer(gameCode);
+  persistGame(gameCode);
 }
 
-// Helper to evaluate capture legality
-function canCapture(attacker, defender) {
-  // First log the pieces involved in the capture attempt
-  console.log('Capture attempt:', {
-    attacker: { type: attacker.type, color: attacker.color, rank: attacker.rank },
-    defender: { type: defender.type, color: defender.color, rank: defender.rank }
+// Rebuild the position from the initial deal and a list of history entries:
+// the board, whose turn it is, captures and the color assignment all follow
+// from the moves
+function replayHistory(gameState, history) {
+  const { board, turn, chain, played } = replayMoves(gameState.initialBoard, history, gameState.rules);
+  
+  gameState.history = history;
+  gameState.board = board;
+  gameState.chain = chain;
+  gameState.turnCount = history.length;
+  gameState.currentPlayer = history.length > 0 ? turn : null;
+  gameState.capturedPieces = played.filter(p => p.capturedPiece).map(p => p.capturedPiece);
+  gameState.lastProgressTurn = 0;
+  gameState.positionCounts = {};
+  played.forEach((outcome, i) => countPosition(gameState, outcome, i + 1));
+  gameState.revealedPieces = {};
+  for (const entry of history) {
+    if (entry.type === 'reveal') gameState.revealedPieces[`${entry.toRow},${entry.toCol}`] = true;
+  }
+  
+  // The first reveal decides the colors; with no moves left, nobody has one
+  const first = history[0];
+  gameState.firstPieceRevealed = Boolean(first);
+  gameState.firstPieceColor = first ? first.color : null;
+  gameState.firstRevealPlayerId = first ? first.playerId : null;
+  gameState.colors = {};
+  for (const id of [gameState.player1, gameState.player2]) {
+    if (first && id) gameState.colors[id] = id === first.playerId ? first.color : oppositeColor(first.color);
+  }
+  gameState.playerTurn = gameState.player1 && gameState.player2 ? playerToMove(gameState) : null;
+}
+
+// Take back the last `plies` moves. Whoever made the first removed move is
+// to move again.
+function rollBackMoves(gameState, plies) {
+  replayHistory(gameState, gameState.history.slice(0, -plies));
+}
+
+// Set a game up at the end of an imported record (see parseGame). Seat 1 gets
+// the side that moved first; seat 2's moves carry no player ID until someone
+// takes that seat. A record of a finished game loads as finished, including
+// one that ended in a draw.
+function loadRecord(gameState, { tags, rules, initialBoard, moves }) {
+  Object.assign(gameState, {
+    seed: tags.Seed || null,
+    rules,
+    firstSeat: 1,
+    initialBoard: cloneBoard(initialBoard),
+    pendingUndo: null,
+    pendingDraw: null,
+    pendingRematch: null,
+    result: null
   });
+  // Seat 1 plays the color of the first reveal. Moves are credited by color,
+  // not by turns alternating: a chained capture is several moves in a row.
+  const { played } = replayMoves(initialBoard, moves, rules);
+  const seat1Color = played.length > 0 ? played[0].mover : null;
+  const seatFor = outcome => (outcome.mover === seat1Color ? gameState.player1 : gameState.player2);
+  replayHistory(gameState, moves.map((move, i) => historyEntry(move, played[i], seatFor(played[i]))));
   
-  // Basic validation
-  if (!attacker || !defender) {
-    console.log('Capture invalid: Missing piece');
-    return false;
+  const last = gameState.history[gameState.history.length - 1];
+  const lossReason = last && !gameState.chain && getLossReason(gameState.board, gameState.currentPlayer, rules);
+  if (lossReason) {
+    gameState.result = {
+      winner: last.color,
+      winnerId: last.playerId,
+      loserId: playerToMove(gameState),
+      reason: lossReason
+    };
+  } else if (last && (tags.Result === 'red' || tags.Result === 'black')) {
+    // Decided off the board: a resignation, a timeout or a player leaving.
+    // Colors are known from the first reveal; seat 2 may not be taken yet.
+    const winnerId = gameState.colors[gameState.player1] === tags.Result ? gameState.player1 : gameState.player2;
+    gameState.result = {
+      winner: tags.Result,
+      winnerId,
+      loserId: winnerId === gameState.player1 ? gameState.player2 : gameState.player1,
+      reason: tags.Reason || null
+    };
+  } else if (last && (tags.Result === 'draw' || getDrawReason(gameState))) {
+    const reason = getDrawReason(gameState) || tags.Reason || 'agreement';
+    gameState.result = { winner: null, winnerId: null, loserId: null, reason };
   }
+  if (gameState.result) gameState.playerTurn = null;
+  return gameState;
+}
+
+// Write a game out in Banqi notation (shared/banqi-notation.js)
+function exportRecord(gameState) {
+  const { result } = gameState;
+  return formatGame({
+    initialBoard: gameState.initialBoard,
+    moves: gameState.history,
+    rules: gameState.rules,
+    tags: {
+      Seed: gameState.seed,
+      Date: new Date().toISOString().slice(0, 10),
+      Result: result ? result.winner || 'draw' : '*',
+      Reason: result ? result.reason : null
+    }
+  });
+}
+
+// Settle a pending takeback request: roll back if accepted, then tell the room
+function answerUndo(room, gameState, accept) {
+  const { requestedBy, plies } = gameState.pendingUndo;
+  gameState.pendingUndo = null;
   
-  if (attacker.color === defender.color) {
-    console.log('Capture invalid: Same color');
-    return false;
+  if (!accept) {
+    io.to(room).emit('undoDeclined', { reason: 'declined' });
+    return;
   }
   
-  // Soldier / General special rule
-  if (attacker.type === 'SOLDIER' && defender.type === 'GENERAL') {
-    console.log('Capture valid: Soldier can capture General (special rule)');
-    return true;
+  rollBackMoves(gameState, plies);
+  switchClock(room, gameState, null);
+  gameLog(room).info('Moves taken back', { plies, player: requestedBy });
+  io.to(room).emit('undoAccepted', { requestedBy, plies });
+  emitGameState(io.to(room), gameState);
+  wakeBots(room);
+  persistGame(room);
+  scheduleComputerTurn(room);
+}
+
+// Settle a pending draw offer: the game ends drawn if accepted
+function answerDraw(room, gameState, accept) {
+  const { offeredBy } = gameState.pendingDraw;
+  gameState.pendingDraw = null;
+  
+  if (!accept) {
+    io.to(room).emit('drawDeclined', { reason: 'declined' });
+    return;
   }
   
-  if (attacker.type === 'GENERAL' && defender.type === 'SOLDIER') {
-    console.log('Capture invalid: General cannot capture Soldier (special rule)');
-    return false;
+  gameLog(room).info('Draw agreed', { offeredBy });
+  finishGame(room, gameState, { winner: null, winnerId: null, loserId: null, reason: 'agreement' });
+  emitGameState(io.to(room), gameState);
+  wakeBots(room);
+  persistGame(room);
+}
+
+// Settle a pending rematch request. If accepted the board is dealt again,
+// and the seat that moved second last game reveals first this time.
+function answerRematch(room, gameState, accept) {
+  const { requestedBy } = gameState.pendingRematch;
+  gameState.pendingRematch = null;
+  
+  if (!accept) {
+    io.to(room).emit('rematchDeclined', { reason: 'declined' });
+    return;
   }
   
-  // Regular rank comparison - higher rank can capture lower rank
-  const canCaptureByRank = attacker.rank >= defender.rank;
-  console.log(`Capture ${canCaptureByRank ? 'valid' : 'invalid'}: Rank comparison ${attacker.rank} >= ${defender.rank} = ${canCaptureByRank}`);
-  return canCaptureByRank;
+  dealNewBoard(gameState, resolveSeed(), gameState.firstSeat === 1 ? 2 : 1);
+  startClocks(room, gameState);
+  gameLog(room).info('Rematch started', { firstSeat: gameState.firstSeat });
+  
+  io.to(room).emit('rematchStarted', { requestedBy, gameType: GAME_TYPE });
+  emitGameState(io.to(room), gameState);
+  wakeBots(room);
+  sendChatHistory(room, gameState); // the spectators' channel is closed to the players again
+  persistGame(room);
+  scheduleComputerTurn(room);
 }
 
-// Helper to check cannon capture path: exactly one screen piece between source and target along same row/col
-function cannonCanCapture(board, fromRow, fromCol, toRow, toCol) {
-  if (fromRow !== toRow && fromCol !== toCol) return false; // must be orthogonal
-  let screens = 0;
-  if (fromRow === toRow) {
-    const dir = toCol > fromCol ? 1 : -1;
-    for (let c = fromCol + dir; c !== toCol; c += dir) {
-      if (board[fromRow][c]) screens++;
+// Hold a disconnected player's seat for the grace period, then count them as gone
+function holdSeat(gameCode, playerId) {
+  clearTimeout(disconnectTimers.get(playerId));
+  disconnectTimers.set(playerId, setTimeout(() => {
+    disconnectTimers.delete(playerId);
+    removePlayer(gameCode, playerId);
+  }, RECONNECT_GRACE_MS));
+}
+
+// Save a game after it changes, or drop its record once it is gone. Saving
+// happens in the background; if it fails, play carries on from memory.
+function persistGame(gameCode) {
+  const info = activeGames.get(gameCode);
+  const gameState = banqiGames.get(gameCode);
+  if (!info || !gameState) {
+    storage.remove(gameCode).catch(err => gameLog(gameCode).error('Could not remove saved game', { err }));
+    return;
+  }
+  
+  // The computer's stand-in socket can't be stored; it is rebuilt on load
+  const { ai, ...state } = gameState;
+  const record = {
+    code: gameCode,
+    info,
+    state: { ...state, ai: ai ? { playerId: ai.playerId, difficulty: ai.difficulty } : null },
+    sessions: [...sessions]
+      .filter(([, session]) => session.gameCode === gameCode)
+      .map(([token, session]) => ({ token, ...session }))
+  };
+  storage.save(gameCode, record).catch(err => gameLog(gameCode).error('Could not save game', { err }));
+}
+
+// Reload saved games on startup. Nobody is connected yet, so every human seat
+// starts its reconnect grace period now.
+async function restoreGames() {
+  const records = await storage.load();
+  for (const record of records) {
+    const { code, info, state } = record;
+    activeGames.set(code, { ...info, createdAt: new Date(info.createdAt) });
+    banqiGames.set(code, {
+      ...state,
+      ai: state.ai ? createComputerPlayer(code, state.ai.difficulty) : null
+    });
+    for (const { token, ...session } of record.sessions) {
+      sessions.set(token, session);
     }
-  } else {
-    const dir = toRow > fromRow ? 1 : -1;
-    for (let r = fromRow + dir; r !== toRow; r += dir) {
-      if (board[r][fromCol]) screens++;
+    
+    const gameState = banqiGames.get(code);
+    if (!gameState.chat) gameState.chat = createChat(); // saved before chat existed
+    
+    // Games saved before positions were counted rebuild the count from their
+    // moves; ones saved before moves were kept start counting from here
+    if (!gameState.positionCounts && gameState.history) {
+      const { result, playerTurn } = gameState;
+      replayHistory(gameState, gameState.history);
+      Object.assign(gameState, { result, playerTurn, pendingDraw: null });
+    } else if (!gameState.positionCounts) {
+      Object.assign(gameState, { lastProgressTurn: gameState.turnCount, positionCounts: {} });
+    }
+    
+    for (const playerId of [gameState.player1, gameState.player2]) {
+      if (playerId && !(gameState.ai && gameState.ai.playerId === playerId)) {
+        holdSeat(code, playerId);
+      }
+    }
+    
+    // Time the server was down isn't charged to whoever was on move
+    if (gameState.clock && gameState.clock.running) {
+      gameState.clock.since = Date.now();
+      armFlagTimer(code);
     }
+    scheduleComputerTurn(code);
   }
-  return screens === 1; // exactly one piece between
+  logger.info('Restored saved games', { count: records.length });
 }
 
-io.on('connection', socket => {
-  // Each browser tab is a "player".
-  let room = null;
+// Validate and play one move for a player. `socket` is the player's socket,
+// or any object with the same id / data.playerId / data.playerNumber / emit
+// shape (the computer opponent uses one), so every move goes through the same
+// checks.
+function handleMove(room, socket, data) {
+  const gameType = GAME_TYPE;
   
-  // Create a new game
-  socket.on('createGame', (data = {}) => {
-    console.log('Create game request received', data);
+  if (gameType === GAME_TYPE) {
+    // For Banqi, data contains more information
+    const move = {
+      fromRow: data.fromRow,
+      fromCol: data.fromCol,
+      toRow: data.toRow,
+      toCol: data.toCol
+    };
+    const isReveal = move.fromRow === move.toRow && move.fromCol === move.toCol;
     
-    // Verify game type is banqi
-    const gameType = GAME_TYPE;
+    const gameState = banqiGames.get(room);
+    if (!gameState) return;
     
-    // Generate a unique game code
-    const gameCode = crypto.randomUUID().substring(0, 8);
-    console.log('Generated game code:', gameCode);
+    const { playerId } = socket.data;
     
-    // Set up the room with the game code
-    room = gameCode;
-    socket.join(room);
+    // Immediately notify both players about the initial game state when move is received
+    emitGameState(io.to(room), gameState);
     
-    // Store game info
-    activeGames.set(gameCode, {
-      creator: socket.id,
-      createdAt: new Date(),
-      gameType: gameType
+    // Tell only the sender that their move was refused
+    const rejectMove = (message) => {
+      socket.emit('move', {
+        ...move,
+        playerId,
+        player: socket.data.playerNumber,
+        gameType: GAME_TYPE,
+        result: { 
+          valid: false,
+          message
+        }
+      });
+    };
+    
+    // First verify that it's this player's turn
+    // Only the very first reveal gets special treatment
+    const isFirstReveal = isReveal && !gameState.firstPieceRevealed;
+    const isPlayerTurn = Boolean(playerId) && gameState.playerTurn === playerId;
+    
+    // Get this player's assigned color (if any)
+    const playerAssignedColor = gameState.colors[playerId];
+    
+    // Only what the players can see: the squares, not the pieces on them,
+    // which may be face-down
+    const log = gameLog(room);
+    log.debug('Move received', {
+      player: playerId,
+      move: formatMove(move),
+      playerTurn: gameState.playerTurn,
+      color: playerAssignedColor,
+      firstReveal: isFirstReveal
     });
     
-    // Set player as player 1
-    socket.data.playerNumber = 1;
-    socket.data.gameCode = gameCode;
-    socket.data.gameType = gameType;
+    if (gameState.result) {
+      log.debug('Move rejected', { reason: 'Game is over' });
+      rejectMove("Game is over");
+      return;
+    }
     
-    // Send game code to creator
-    const responseData = {
-      gameCode: gameCode,
-      playerNumber: 1,
-      gameType: gameType
-    };
+    if (!isPlayerTurn) {
+      log.debug('Move rejected', { reason: 'Not your turn' });
+      // Not this player's turn, send invalid move
+      rejectMove("Not your turn");
+      return;
+    }
+    
+    // A move that arrives after the flag fell, before the timer noticed
+    if (gameState.clock && timeLeft(gameState.clock, playerId, Date.now()) === 0) {
+      log.debug('Move rejected', { reason: 'Out of time' });
+      flagFall(room);
+      return;
+    }
+    
+    // The shared rules engine decides legality, exactly as the client highlights it
+    const outcome = playMove(gameState.board, gameState.currentPlayer, move, gameState.rules, gameState.chain);
+    if (!outcome.valid) {
+      log.debug('Move rejected', { reason: outcome.message });
+      rejectMove(outcome.message);
+      return;
+    }
+    
+    const { capturedPiece, revealedPiece, firstPiece } = outcome;
+    gameState.board = outcome.board;
+    gameState.chain = outcome.chain;
+    
+    const otherPlayerId = playerId === gameState.player1 ? gameState.player2 : gameState.player1;
+    
+    if (isReveal) {
+      // Track this revealed piece
+      gameState.revealedPieces[`${move.toRow},${move.toCol}`] = true;
+    }
+    if (capturedPiece) {
+      gameState.capturedPieces.push(capturedPiece);
+    }
+    
+    gameState.history.push(historyEntry(move, outcome, playerId));
+    
+    // Playing on instead of answering a takeback request declines it
+    if (gameState.pendingUndo) {
+      gameState.pendingUndo = null;
+      io.to(room).emit('undoDeclined', { reason: 'moved' });
+    }
+    
+    // So does playing on instead of answering a draw offer
+    if (gameState.pendingDraw && gameState.pendingDraw.offeredBy !== playerId) {
+      gameState.pendingDraw = null;
+      io.to(room).emit('drawDeclined', { reason: 'moved' });
+    }
+    
+    // Handle first piece reveal
+    if (isFirstReveal) {
+      // First piece revealed determines player colors
+      gameState.firstPieceRevealed = true;
+      gameState.firstPieceColor = revealedPiece.color;
+      gameState.firstRevealPlayerId = playerId;
+      
+      // CRITICAL: Permanently associate this player with this color
+      gameState.colors[playerId] = revealedPiece.color;
+      
+      // The opponent gets the other color
+      const otherPlayerColor = oppositeColor(revealedPiece.color);
+      gameState.colors[otherPlayerId] = otherPlayerColor;
+      
+      log.info('Colors assigned', { player: playerId, color: revealedPiece.color });
+    }
+    
+    
+    // First update the game state - increment turn and switch player
+    gameState.turnCount++;
+    countPosition(gameState, outcome, gameState.turnCount);
     
-    console.log('Sending gameCreated event with data:', responseData);
-    socket.emit('gameCreated', responseData);
-    
-    // If this is a Banqi game, create the initial shared board and game state
-    if (gameType === GAME_TYPE) {
-      const board = generateBanqiBoard();
-      banqiGames.set(gameCode, {
-        board,
-        firstPieceRevealed: false,
-        firstPieceColor: null,
-        firstRevealPlayerId: null,
-        currentPlayer: null,
-        turnCount: 0,
-        playerTurn: null, // will be randomly assigned when another player joins
-        revealedPieces: {},
-        player1: socket.id,
-        player2: null
+    // Toggle to the other player's turn, unless this piece has to keep capturing
+    gameState.playerTurn = outcome.chain ? playerId : otherPlayerId;
+    
+    // Set current player color based on whose turn it is next
+    const nextPlayerColor = outcome.turn;
+    gameState.currentPlayer = nextPlayerColor;
+    
+    // The mover's clock stops and the opponent's starts
+    if (!outcome.chain) switchClock(room, gameState, playerId);
+    
+    log.debug('Move played', {
+      player: playerId,
+      move: formatMove(move),
+      type: outcome.type,
+      next: gameState.playerTurn,
+      color: nextPlayerColor
+    });
+
+    // Then emit the move event with the updated player turn
+    io.to(room).emit('move', {
+      ...move,
+      playerId,
+      player: socket.data.playerNumber,
+      gameType: GAME_TYPE,
+      result: { 
+        valid: true, 
+        firstPiece: firstPiece,
+        currentPlayer: gameState.currentPlayer,
+        capturedPiece: capturedPiece,
+        revealedPiece: revealedPiece, // identity of a piece flipped by this move
+        playerTurn: gameState.playerTurn // Include updated player turn
+      }
+    });
+    
+    // Then emit the full game state update with the new turn information
+    emitGameState(io.to(room), gameState);
+    
+    // Finally check whether the player who moves next has lost
+    const lossReason = !outcome.chain && getLossReason(gameState.board, nextPlayerColor, gameState.rules);
+    if (lossReason) {
+      finishGame(room, gameState, {
+        winner: outcome.mover,
+        winnerId: playerId,
+        loserId: otherPlayerId,
+        reason: lossReason
       });
+    } else if (getDrawReason(gameState)) {
+      finishGame(room, gameState, { winner: null, winnerId: null, loserId: null, reason: getDrawReason(gameState) });
     }
-  });
+    
+    wakeBots(room);
+    persistGame(room);
+    scheduleComputerTurn(room);
+  }
+}
+
+// If it is the computer opponent's turn in this room, play its move after a
+// short delay. The move goes through handleMove like any human move.
+function scheduleComputerTurn(room) {
+  const gameState = banqiGames.get(room);
+  if (!gameState || !gameState.ai || gameState.result) return;
+  if (gameState.playerTurn !== gameState.ai.playerId) return;
   
-  // Join an existing game
-  socket.on('joinGame', (data) => {
-    // Handle both string and object formats for backward compatibility
-    const gameCode = typeof data === 'string' ? data : data.code;
-    const gameType = GAME_TYPE;
+  setTimeout(() => {
+    // The game may have ended, been reset or been deleted in the meantime
+    const current = banqiGames.get(room);
+    if (current !== gameState || gameState.result || gameState.playerTurn !== gameState.ai.playerId) return;
+    
+    const move = chooseMove({
+      board: redactBoard(gameState.board),
+      color: gameState.currentPlayer,
+      captured: gameState.capturedPieces,
+      difficulty: gameState.ai.difficulty,
+      rules: gameState.rules,
+      chain: gameState.chain
+    });
+    if (!move) return;
     
-    // Check if game exists
-    if (!activeGames.has(gameCode)) {
-      socket.emit('error', 'Game not found. Check your game code.');
+    const { fromRow, fromCol, toRow, toCol } = move;
+    handleMove(room, gameState.ai.actor, { fromRow, fromCol, toRow, toCol, gameType: GAME_TYPE });
+  }, AI_MOVE_DELAY_MS);
+}
+
+// Bot API
+// Programs play over HTTP as a signed-in account, without a Socket.IO client;
+// the protocol is described in bots/README.md. A bot sees what its seat sees
+// in the browser plus its legal moves, and its moves go through handleMove
+// like everyone else's. A bot holds its seat by asking: one that sends nothing
+// for the reconnect grace period is gone, like a disconnected player.
+const bots = express.Router();
+bots.use(express.json());
+
+// Bots waiting for a game to change (long polls): game code -> Set of callbacks
+const botWaiters = new Map();
+
+// Longest a poll is held open, well inside the reconnect grace period
+const BOT_MAX_WAIT_MS = Math.min(30000, RECONNECT_GRACE_MS / 2);
+
+// HTTP status for each error code a bot can get; the rest are 400
+const BOT_ERROR_STATUS = {
+  SIGN_IN_REQUIRED: 401,
+  LOGIN_FAILED: 401,
+  GAME_NOT_FOUND: 404,
+  NOT_PLAYING: 404,
+  GAME_FULL: 409,
+  ALREADY_PLAYING: 409,
+  USERNAME_TAKEN: 409,
+  RATE_LIMITED: 429,
+  TOO_MANY_GAMES: 429
+};
+
+function refuse(res, { code, message }) {
+  res.status(BOT_ERROR_STATUS[code] || 400).json({ code, message });
+}
+
+// Resolves when the game next changes, or after `ms` at the latest
+function waitForChange(gameCode, ms) {
+  return new Promise(resolve => {
+    const waiters = botWaiters.get(gameCode) || new Set();
+    botWaiters.set(gameCode, waiters);
+    const done = () => {
+      clearTimeout(timer);
+      waiters.delete(done);
+      if (waiters.size === 0 && botWaiters.get(gameCode) === waiters) botWaiters.delete(gameCode);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    waiters.add(done);
+  });
+}
+
+function wakeBots(gameCode) {
+  for (const done of [...(botWaiters.get(gameCode) || [])]) done();
+}
+
+// The signed-in bot's seat in the game named in the URL, or null once the
+// request has been refused
+function botSeat(req, res) {
+  const gameCode = req.params.code;
+  const gameState = banqiGames.get(gameCode);
+  if (!gameState) {
+    refuse(res, { code: 'GAME_NOT_FOUND', message: 'Game not found' });
+    return null;
+  }
+  const accountsById = gameState.accounts || {};
+  const playerId = Object.keys(accountsById).find(id => accountsById[id] === res.locals.account);
+  if (!playerId) {
+    refuse(res, { code: 'NOT_PLAYING', message: 'You are not playing in this game' });
+    return null;
+  }
+  // The same account may also be seated from a browser; a connected socket
+  // holds its own seat, and only a seat without one waits on the bot
+  if (!seatConnected(playerId)) holdSeat(gameCode, playerId);
+  return { gameCode, gameState, playerId };
+}
+
+// Whether a socket is connected in this seat
+function seatConnected(playerId) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.playerId === playerId) return true;
+  }
+  return false;
+}
+
+// A game as one of its bots sees it: the API's view of the game, the bot's
+// seat and color, and the moves it may play if it is its turn
+function botView({ gameCode, gameState, playerId }) {
+  const yourTurn = Boolean(gameState.player2) && !gameState.result && gameState.playerTurn === playerId;
+  return {
+    ...describeGame(gameCode),
+    playerId,
+    playerNumber: playerId === gameState.player1 ? 1 : 2,
+    color: gameState.colors[playerId] || null,
+    yourTurn,
+    legalMoves: yourTurn
+      ? getLegalMoves(redactBoard(gameState.board), gameState.currentPlayer, gameState.rules, gameState.chain)
+      : []
+  };
+}
+
+// Signing in answers { username, token }; the token goes in an
+// "Authorization: Bearer <token>" header on every other request
+const botSignIn = action => (req, res) => {
+  const problem = validatePayload(action, req.body);
+  if (problem) return refuse(res, problem);
+  // Counted per username, since addresses can be shared (see clientKey)
+  if (!eventLimiter.allow(`signin:${req.body.username.toLowerCase()}`)) {
+    return refuse(res, { code: 'RATE_LIMITED', message: 'Too many requests. Slow down a little.' });
+  }
+  accounts[action](req.body.username, req.body.password).then(
+    signedIn => res.json(signedIn),
+    err => refuse(res, { code: err.code || 'ACCOUNT_ERROR', message: err.message })
+  );
+};
+bots.post('/register', botSignIn('register'));
+bots.post('/login', botSignIn('login'));
+
+bots.use((req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const account = scheme === 'Bearer' ? accounts.resume(token) : null;
+  if (!account) return refuse(res, { code: 'SIGN_IN_REQUIRED', message: 'Sign in and send your token' });
+  if (!eventLimiter.allow(`account:${account}`)) {
+    return refuse(res, { code: 'RATE_LIMITED', message: 'Too many requests. Slow down a little.' });
+  }
+  res.locals.account = account;
+  next();
+});
+
+// Open a game, with the same options as the lobby's createGame
+bots.post('/games', (req, res) => {
+  const problem = validatePayload('createGame', req.body);
+  if (problem) return refuse(res, problem);
+  if (!gameLimiter.allow(`account:${res.locals.account}`)) {
+    return refuse(res, { code: 'TOO_MANY_GAMES', message: 'You have started too many games. Try again in a few minutes.' });
+  }
+  
+  const opened = setUpGame(req.body, res.locals.account);
+  if (opened.error) return refuse(res, opened.error);
+  const { gameCode, seat } = opened;
+  activeGames.get(gameCode).botCreator = true;
+  holdSeat(gameCode, seat.playerId);
+  if (seat.vsComputer) startComputerGame(gameCode);
+  gameLog(gameCode).info('Bot opened game', { account: res.locals.account });
+  res.status(201).json(botView({ gameCode, gameState: banqiGames.get(gameCode), playerId: seat.playerId }));
+});
+
+// Take the second seat in an open game
+bots.post('/games/:code/join', (req, res) => {
+  const gameCode = req.params.code;
+  const joined = takeSecondSeat(gameCode, res.locals.account);
+  if (joined.error) return refuse(res, joined.error);
+  const { playerId } = joined.seat;
+  holdSeat(gameCode, playerId);
+  startJoinedGame(gameCode);
+  res.json(botView({ gameCode, gameState: banqiGames.get(gameCode), playerId }));
+});
+
+// The game as the bot sees it. With ?wait=<seconds> the answer waits until it
+// is the bot's turn or the game is over, for at most that long (up to 30).
+bots.get('/games/:code', async (req, res) => {
+  const deadline = Date.now() + Math.min(Math.max(Number(req.query.wait) || 0, 0) * 1000, BOT_MAX_WAIT_MS);
+  let seat = botSeat(req, res);
+  if (!seat) return;
+  while (!botView(seat).yourTurn && !seat.gameState.result && Date.now() < deadline) {
+    await waitForChange(seat.gameCode, deadline - Date.now());
+    seat = botSeat(req, res); // the game may be gone, or the seat given up
+    if (!seat) return;
+  }
+  res.json(botView(seat));
+});
+
+// Play a move: { fromRow, fromCol, toRow, toCol }, as in the socket 'move'
+// event. A reveal names the same square twice.
+bots.post('/games/:code/move', (req, res) => {
+  const problem = validatePayload('move', req.body);
+  if (problem) return refuse(res, problem);
+  const seat = botSeat(req, res);
+  if (!seat) return;
+  
+  // handleMove tells a refused mover through their socket; a bot has none
+  let refusal = null;
+  const actor = {
+    id: `bot:${res.locals.account}`,
+    data: { playerId: seat.playerId, playerNumber: seat.playerId === seat.gameState.player1 ? 1 : 2 },
+    emit: (event, payload) => {
+      if (event === 'move' && !payload.result.valid) refusal = payload.result.message;
+    }
+  };
+  handleMove(seat.gameCode, actor, req.body);
+  if (refusal) return refuse(res, { code: 'ILLEGAL_MOVE', message: refusal });
+  res.json(botView(seat));
+});
+
+bots.post('/games/:code/resign', (req, res) => {
+  const seat = botSeat(req, res);
+  if (!seat) return;
+  const { gameCode, gameState, playerId } = seat;
+  if (gameState.player2 && !gameState.result) {
+    gameLog(gameCode).info('Player resigned', { player: playerId });
+    forfeitGame(gameCode, gameState, playerId, 'resigned');
+  }
+  res.json(botView(seat));
+});
+
+// Leave the game for good, as the lobby's Leave button does
+bots.post('/games/:code/leave', (req, res) => {
+  const seat = botSeat(req, res);
+  if (!seat) return;
+  clearTimeout(disconnectTimers.get(seat.playerId));
+  disconnectTimers.delete(seat.playerId);
+  removePlayer(seat.gameCode, seat.playerId);
+  res.status(204).end();
+});
+
+// A body that isn't JSON never reaches the routes
+bots.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  refuse(res, { code: 'INVALID_REQUEST', message: 'The request body must be JSON' });
+});
+
+app.use('/api/bot', bots);
+
+io.on('connection', socket => {
+  // Each browser tab is a "player".
+  let room = null;
+  
+  // Every event is checked before its handler sees it: the socket's rate
+  // limit first, then the payload's shape. Refused events go no further. A
+  // socket over its limit is told once, not for every event it floods in.
+  socket.use(([event, data], next) => {
+    if (!eventLimiter.allow(clientKey(socket))) {
+      if (!socket.data.rateLimited) {
+        logger.warn('Socket is sending too fast, dropping events', { socket: socket.id });
+        sendError(socket, 'RATE_LIMITED', 'Too many requests. Slow down a little.');
+      }
+      socket.data.rateLimited = true;
       return;
     }
+    socket.data.rateLimited = false;
     
-    // Check if game types match
-    const gameInfo = activeGames.get(gameCode);
-    if (gameInfo.gameType !== gameType) {
-      socket.emit('error', `This code is for a ${gameInfo.gameType} game, not a ${gameType} game.`);
+    const problem = validatePayload(event, data);
+    if (problem) {
+      logger.info('Refused event', { socket: socket.id, event, code: problem.code, reason: problem.message });
+      sendError(socket, problem.code, problem.message);
+      return;
+    }
+    next();
+  });
+  
+  // Signing in: a new account, a password, or a token from an earlier sign-in.
+  // The account is attached to this socket and to any game it goes on to
+  // create or join; guests can still play without one.
+  const signedIn = ({ username, token }) => {
+    socket.data.account = username;
+    socket.emit('accountReady', {
+      username,
+      token,
+      rating: accounts.stats(username).rating,
+      games: accounts.recentGames(username)
+    });
+  };
+  const signInFailed = (err) => sendError(socket, err.code || 'ACCOUNT_ERROR', err.message, 'accountError');
+  
+  socket.on('register', (data = {}) => {
+    accounts.register(data.username, data.password).then(signedIn, signInFailed);
+  });
+  
+  socket.on('login', (data = {}) => {
+    accounts.login(data.username, data.password).then(signedIn, signInFailed);
+  });
+  
+  socket.on('resumeAccount', (data = {}) => {
+    const username = accounts.resume(data.token);
+    if (username) signedIn({ username, token: data.token });
+    else sendError(socket, 'SESSION_EXPIRED', 'Please sign in again.', 'accountError');
+  });
+  
+  socket.on('logout', (data = {}) => {
+    accounts.logout(data.token);
+    socket.data.account = null;
+  });
+  
+  // Stop watching a game: leave its room, so this socket no longer counts as
+  // a spectator or reads the spectators' chat. Taking a seat does this too.
+  const stopSpectating = () => {
+    if (!room || !socket.data.spectating) return;
+    const watched = room;
+    socket.leave(watched);
+    socket.data.spectating = false;
+    room = null;
+    emitSpectatorCount(watched);
+  };
+  
+  // Open a new game with this socket in seat 1
+  const openGame = (data, record = null) => {
+    matchQueue.remove(socket.id);
+    const opened = setUpGame(data, socket.data.account, record);
+    if (opened.error) {
+      sendError(socket, opened.error.code, opened.error.message);
       return;
     }
     
-    // Get the room for this game code
+    const { gameCode, seat } = opened;
+    stopSpectating();
     room = gameCode;
+    socket.join(room);
+    socket.data.playerNumber = 1;
+    socket.data.playerId = seat.playerId;
+    socket.data.gameCode = gameCode;
+    socket.data.gameType = GAME_TYPE;
+    socket.emit('gameCreated', seat);
     
-    // Check if room is full
-    const clients = io.sockets.adapter.rooms.get(room);
-    if (clients && clients.size >= 2) {
-      socket.emit('error', 'Game is full. Try another code.');
+    if (seat.vsComputer) startComputerGame(gameCode);
+    return gameCode;
+  };
+  
+  // Count a game against this client's allowance, or refuse it; with
+  // `charge` off, only check there is room for one
+  const mayCreateGame = ({ charge = true } = {}) => {
+    const key = clientKey(socket);
+    if (charge ? gameLimiter.allow(key) : gameLimiter.check(key)) return true;
+    sendError(socket, 'TOO_MANY_GAMES', 'You have started too many games. Try again in a few minutes.');
+    return false;
+  };
+  
+  socket.on('createGame', (data = {}) => {
+    if (!mayCreateGame()) return;
+    openGame(data);
+  });
+  
+  // Carry on from a game record in Banqi notation, e.g. a downloaded game
+  socket.on('importGame', (data = {}) => {
+    let record;
+    try {
+      record = parseGame(data.text);
+    } catch (err) {
+      sendError(socket, 'BAD_RECORD', `Could not load that game: ${err.message}`);
+      return;
+    }
+    if (!mayCreateGame()) return;
+    openGame(data, record);
+  });
+  
+  // Join an existing game: take its second seat
+  const joinGame = (gameCode) => {
+    matchQueue.remove(socket.id);
+    const joined = takeSecondSeat(gameCode, socket.data.account);
+    if (joined.error) {
+      sendError(socket, joined.error.code, joined.error.message);
       return;
     }
     
-    // Join the room
+    const { seat } = joined;
+    stopSpectating();
+    room = gameCode;
     socket.join(room);
-    
-    // Set player as player 2
     socket.data.playerNumber = 2;
+    socket.data.playerId = seat.playerId;
     socket.data.gameCode = gameCode;
-    socket.data.gameType = gameType;
+    socket.data.gameType = GAME_TYPE;
+    socket.emit('gameJoined', seat);
     
-    // For Banqi, register second player and randomly choose who goes first
-    if (banqiGames.has(room)) {
-      const gameState = banqiGames.get(room);
-      gameState.player2 = socket.id;
-      // Randomly decide which socket ID gets the first turn
-      gameState.playerTurn = Math.random() < 0.5 ? gameState.player1 : gameState.player2;
+    startJoinedGame(gameCode);
+  };
+  
+  socket.on('joinGame', (data) => {
+    // Handle both string and object formats for backward compatibility
+    joinGame(typeof data === 'string' ? data : data.code);
+  });
+  
+  // Quick Match: wait for an opponent who wants the same kind of game. When
+  // one turns up, this player opens the game and the other takes the second
+  // seat, just as if they had been given the code.
+  socket.on('joinQueue', (data = {}) => {
+    if (socket.data.playerId) {
+      sendError(socket, 'ALREADY_PLAYING', 'Leave your current game before looking for another.');
+      return;
+    }
+    const rated = Boolean(data.rated);
+    if (rated && !socket.data.account) {
+      sendError(socket, 'SIGN_IN_REQUIRED', 'Sign in to play rated games.');
+      return;
     }
+    // Waiting costs nothing; the player whose arrival makes the match opens
+    // the game, and is charged for it then
+    if (!mayCreateGame({ charge: false })) return;
     
-    // Tell the client they're player 2
-    socket.emit('gameJoined', {
-      gameCode: gameCode,
-      playerNumber: 2,
-      gameType: gameType
+    const { account } = socket.data;
+    const maxRatingGap = Number(data.maxRatingGap);
+    const opponent = matchQueue.enqueue({
+      id: socket.id,
+      account,
+      rating: account ? accounts.stats(account).rating : DEFAULT_RATING,
+      rated,
+      timeControl: parseTimeControl(data.timeControl),
+      maxRatingGap: maxRatingGap > 0 ? maxRatingGap : null,
+      joinGame // how the waiting player is seated once matched
     });
+    if (!opponent) {
+      logger.info('Waiting for a match', { socket: socket.id, waiting: matchQueue.size });
+      socket.emit('queueJoined', { waiting: matchQueue.size });
+      return;
+    }
     
-    // Start the game for both players
-    io.to(room).emit('start', { gameType: GAME_TYPE });
-    io.to(room).emit('gameReady', { isReady: true, gameType: GAME_TYPE });
+    mayCreateGame();
+    const gameCode = openGame({ timeControl: data.timeControl, rated });
+    gameLog(gameCode).info('Quick Match', { sockets: [socket.id, opponent.id] });
+    opponent.joinGame(gameCode);
+  });
+  
+  socket.on('leaveQueue', () => {
+    if (matchQueue.remove(socket.id)) socket.emit('queueLeft');
+  });
+  
+  // Take a held seat back with the session token from create/join
+  socket.on('rejoinGame', (data = {}) => {
+    const session = sessions.get(data.token);
+    if (!session || session.gameCode !== data.code || !banqiGames.has(session.gameCode)) {
+      sendError(socket, 'GAME_NOT_FOUND', 'That game is no longer available.', 'rejoinFailed');
+      return;
+    }
     
-    // If this is a Banqi game, send the current game state
-    if (banqiGames.has(room)) {
-      const gameState = banqiGames.get(room);
-      
-      // Log debug info
-      console.log("Game joined - Turn information:");
-      console.log("Creator Socket ID:", activeGames.get(room).creator);
-      console.log("Joiner Socket ID:", socket.id);
-      console.log("Current playerTurn:", gameState.playerTurn);
-      
-      io.to(room).emit('gameStateUpdate', {
-        board: gameState.board,
-        currentPlayer: gameState.currentPlayer,
-        playerTurn: gameState.playerTurn
-      });
+    const { gameCode, playerId, playerNumber } = session;
+    const gameState = banqiGames.get(gameCode);
+    stopSpectating();
+    
+    // The seat is no longer waiting for its player
+    clearTimeout(disconnectTimers.get(playerId));
+    disconnectTimers.delete(playerId);
+    
+    // If the seat is still open in another window, that window loses it
+    for (const other of io.sockets.sockets.values()) {
+      if (other !== socket && other.data.playerId === playerId) {
+        other.leave(gameCode);
+        other.data.playerId = null;
+        sendError(other, 'SEAT_TAKEN_OVER', 'This game was opened in another window.');
+      }
+    }
+    
+    room = gameCode;
+    socket.join(room);
+    socket.data.playerNumber = playerNumber;
+    socket.data.playerId = playerId;
+    socket.data.gameCode = gameCode;
+    socket.data.gameType = GAME_TYPE;
+    
+    gameLog(gameCode).info('Player rejoined', { player: playerId });
+    
+    socket.emit('gameRejoined', {
+      gameCode,
+      playerNumber,
+      playerId,
+      sessionToken: data.token,
+      gameType: GAME_TYPE,
+      vsComputer: Boolean(gameState.ai),
+      difficulty: gameState.ai ? gameState.ai.difficulty : null,
+      rules: gameState.rules,
+      rated: Boolean(gameState.rated)
+    });
+    syncSocket(socket, gameState);
+    socket.to(room).emit('opponentReconnected');
+  });
+  
+  // Resend the current game state to this socket (sent by the client once
+  // its game view is ready to listen)
+  socket.on('syncGame', () => {
+    if (!room || !banqiGames.has(room)) return;
+    syncSocket(socket, banqiGames.get(room));
+    socket.emit('spectatorCount', { count: countSpectators(room) });
+  });
+
+  // Watch a game without taking a seat. Spectators get the same redacted
+  // broadcasts as the players, but they have no player ID, so nothing they
+  // send can change the game.
+  socket.on('spectateGame', (data = {}) => {
+    const gameCode = typeof data === 'string' ? data : data.code;
+    const gameState = banqiGames.get(gameCode);
+    if (!gameState) {
+      sendError(socket, 'GAME_NOT_FOUND', 'Game not found. Check your game code.');
+      return;
     }
+    if (socket.data.playerId) {
+      sendError(socket, 'ALREADY_PLAYING', 'Leave your current game before watching another.');
+      return;
+    }
+    
+    stopSpectating();
+    if (room) socket.leave(room);
+    room = gameCode;
+    socket.join(room);
+    socket.data.spectating = true;
+    socket.data.gameCode = gameCode;
+    socket.data.gameType = GAME_TYPE;
+    
+    gameLog(gameCode).info('Spectator joined', { socket: socket.id });
+    socket.emit('spectating', {
+      gameCode,
+      gameType: GAME_TYPE,
+      vsComputer: Boolean(gameState.ai),
+      difficulty: gameState.ai ? gameState.ai.difficulty : null,
+      rules: gameState.rules,
+      rated: Boolean(gameState.rated)
+    });
+    emitSpectatorCount(gameCode);
   });
 
   socket.on('move', data => {
-    if (!room) return;
+    // Only seated players move; spectators' clicks stop here
+    if (!room || !socket.data.playerId) return;
+    handleMove(room, socket, data);
+  });
+
+  // Ask the opponent to take back this player's last move. If the opponent
+  // has replied since, their reply is taken back too, so it is this player's
+  // turn again afterwards.
+  socket.on('requestUndo', () => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId) return;
     
-    const gameType = GAME_TYPE;
+    const refuse = (message) => socket.emit('undoDeclined', { reason: 'invalid', message });
+    if (gameState.result) return refuse('The game is over');
+    if (gameState.rated) return refuse('There are no takebacks in rated games');
+    if (gameState.pendingUndo) return refuse('A takeback is already waiting for an answer');
     
-    if (gameType === GAME_TYPE) {
-      // For Banqi, data contains more information
-      const isReveal = data.fromRow === data.toRow && data.fromCol === data.toCol;
-      
-      // Initialize game state if it doesn't exist
-      if (!banqiGames.has(room)) {
-        // Generate a shared board for both players
-        const board = generateBanqiBoard();
-        banqiGames.set(room, {
-          board,
-          firstPieceRevealed: false,
-          firstPieceColor: null,
-          firstRevealPlayerId: null,
-          currentPlayer: null,
-          turnCount: 0,
-          playerTurn: null, // will be randomly assigned when another player joins
-          revealedPieces: {},
-          player1: null,
-          player2: null
-        });
-      }
-      
-      const gameState = banqiGames.get(room);
-      
-      // Immediately notify both players about the initial game state when move is received
-      io.to(room).emit('gameStateUpdate', {
-        board: gameState.board,
-        currentPlayer: gameState.currentPlayer,
-        playerTurn: gameState.playerTurn
-      });
-      
-      // Validate move
-      let moveValid = false;
-      let capturedPiece = null;
-      
-      // First verify that it's this player's turn
-      // Only the very first reveal gets special treatment
-      const isFirstReveal = isReveal && !gameState.firstPieceRevealed;
-      const isPlayerTurn = gameState.playerTurn === socket.id;
-      
-      // Get this player's assigned color (if any)
-      const playerAssignedColor = playerColors.get(socket.id);
-      
-      // Detailed debug logs for move validation
-      console.log("Move validation details:", {
-        moveType: isReveal ? 'reveal' : 'move/capture',
-        from: { row: data.fromRow, col: data.fromCol },
-        to: { row: data.toRow, col: data.toCol },
-        socketId: socket.id,
-        playerTurn: gameState.playerTurn,
-        isPlayerTurn,
-        isFirstReveal,
-        serverCurrentPlayer: gameState.currentPlayer,
-        playerAssignedColor,
-        firstPieceRevealed: gameState.firstPieceRevealed,
-        sourcePiece: gameState.board[data.fromRow]?.[data.fromCol],
-        targetPiece: gameState.board[data.toRow]?.[data.toCol]
-      });
-      
-      if (!isPlayerTurn) {
-        console.log("Move rejected: Not player's turn");
-        // Not this player's turn, send invalid move
-        socket.emit('move', {
-          fromRow: data.fromRow,
-          fromCol: data.fromCol,
-          toRow: data.toRow,
-          toCol: data.toCol,
-          playerId: socket.id,
-          player: socket.data.playerNumber,
-          gameType: GAME_TYPE,
-          result: { 
-            valid: false,
-            message: "Not your turn"
-          }
-        });
-        return;
-      }
-      
-      // Handle first piece reveal
-      let firstPiece = null;
-      if (isFirstReveal) {
-        const piece = gameState.board[data.toRow][data.toCol];
-        if (piece && !piece.faceUp) {
-          // First piece revealed determines player colors
-          gameState.firstPieceRevealed = true;
-          gameState.firstPieceColor = piece.color;
-          gameState.firstRevealPlayerId = socket.id;
-          gameState.turnCount++;
-          
-          // Reveal the piece on the shared board
-          gameState.board[data.toRow][data.toCol].faceUp = true;
-          
-          // Track this revealed piece
-          const pieceKey = `${data.toRow},${data.toCol}`;
-          gameState.revealedPieces[pieceKey] = true;
-          
-          firstPiece = { color: piece.color };
-          
-          // CRITICAL: Permanently associate this player with this color
-          playerColors.set(socket.id, piece.color);
-          
-          // Calculate opponent ID and color
-          const firstRevealOtherPlayerId = socket.id === gameState.player1 ? gameState.player2 : gameState.player1;
-          const otherPlayerColor = piece.color === 'red' ? 'black' : 'red';
-          playerColors.set(firstRevealOtherPlayerId, otherPlayerColor);
-          
-          console.log(`PLAYER COLOR ASSIGNMENT: ${socket.id} -> ${piece.color}, ${firstRevealOtherPlayerId} -> ${otherPlayerColor}`);
-          
-          // The player who revealed gets that color
-          gameState.currentPlayer = piece.color;
-          
-          // Other player goes next - determine who that is
-          const otherPlayerId = socket.id === gameState.player1 
-            ? gameState.player2 
-            : gameState.player1;
-            
-          gameState.playerTurn = otherPlayerId;
-          
-          moveValid = true;
-        }
-      } else if (isReveal) {
-        // Subsequent reveals
-        const piece = gameState.board[data.toRow][data.toCol];
-        
-        if (piece && !piece.faceUp) {
-          // Reveal the piece on the shared board
-          gameState.board[data.toRow][data.toCol].faceUp = true;
-          
-          // Track this revealed piece
-          const pieceKey = `${data.toRow},${data.toCol}`;
-          gameState.revealedPieces[pieceKey] = true;
-          
-          gameState.turnCount++;
-          
-          // Switch current player
-          gameState.currentPlayer = gameState.currentPlayer === 'red' ? 'black' : 'red';
-          
-          // Other player goes next - determine who that is
-          const otherPlayerId = socket.id === gameState.player1 
-            ? gameState.player2 
-            : gameState.player1;
-            
-          gameState.playerTurn = otherPlayerId;
-          
-          moveValid = true;
-        }
-      } else {
-        // Regular move (not a reveal)
-        const sourcePiece = gameState.board[data.fromRow][data.fromCol];
-        const targetPiece = gameState.board[data.toRow][data.toCol];
-        
-        // Get this player's assigned color from the permanent mapping
-        const playerAssignedColor = playerColors.get(socket.id);
-        
-        // Validate the move - piece must match player's assigned color
-        console.log("Move validation - source piece check:", {
-          sourcePiece: sourcePiece ? { type: sourcePiece.type, color: sourcePiece.color, faceUp: sourcePiece.faceUp } : null,
-          serverCurrentPlayer: gameState.currentPlayer,
-          playerAssignedColor: playerAssignedColor,
-          socketId: socket.id,
-          matchesAssignedColor: sourcePiece ? (sourcePiece.color === playerAssignedColor) : false
-        });
-        
-        // Check if source piece belongs to this player's color AND it's this player's turn
-        if (sourcePiece && sourcePiece.faceUp && sourcePiece.color === playerAssignedColor && isPlayerTurn) {
-          // Cannon movement/capture rules
-          if (sourcePiece.type === 'CANNON') {
-            // Cannon movement/capture rules
-            if (targetPiece) {
-              // capture attempt – must be opponent and path with exactly one screen
-              if (targetPiece.faceUp && targetPiece.color !== sourcePiece.color) {
-                console.log("Cannon capture attempt:", {
-                  from: { row: data.fromRow, col: data.fromCol },
-                  to: { row: data.toRow, col: data.toCol },
-                  screenCheckNeeded: true
-                });
-                
-                const canCapture = cannonCanCapture(gameState.board, data.fromRow, data.fromCol, data.toRow, data.toCol);
-                
-                if (canCapture) {
-                  console.log("Valid cannon capture - exactly one screen found");
-                  capturedPiece = { ...targetPiece };
-                  gameState.board[data.toRow][data.toCol] = sourcePiece;
-                  gameState.board[data.fromRow][data.fromCol] = null;
-                  moveValid = true;
-                } else {
-                  console.log("Invalid cannon capture - wrong number of screens");
-                }
-              } 
-            } else {
-              // Regular move: must be orthogonal exactly one square
-              const rowDiff = Math.abs(data.toRow - data.fromRow);
-              const colDiff = Math.abs(data.toCol - data.fromCol);
-              const isOrthogonal = (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
-              
-              if (isOrthogonal) {
-                console.log("Valid cannon move to empty square");
-                gameState.board[data.toRow][data.toCol] = sourcePiece;
-                gameState.board[data.fromRow][data.fromCol] = null;
-                moveValid = true;
-              } else {
-                console.log("Invalid cannon move: not orthogonal or not adjacent", { rowDiff, colDiff });
-              }
-            }
-          } else {
-            // Non-cannon pieces
-            const rowDiff = Math.abs(data.toRow - data.fromRow);
-            const colDiff = Math.abs(data.toCol - data.fromCol);
-            const isOrthogonal = (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
-            
-            console.log("Non-cannon move check:", {
-              rowDiff,
-              colDiff, 
-              isOrthogonal,
-              hasTargetPiece: !!targetPiece
-            });
-            
-            if (isOrthogonal) {
-              if (!targetPiece) {
-                // move to empty
-                console.log("Valid move to empty square");
-                gameState.board[data.toRow][data.toCol] = sourcePiece;
-                gameState.board[data.fromRow][data.fromCol] = null;
-                moveValid = true;
-              } else if (targetPiece.faceUp && targetPiece.color !== sourcePiece.color) {
-                // First verify that it's an opponent's piece
-                console.log("Attempting to capture piece:", {
-                  attacker: { type: sourcePiece.type, color: sourcePiece.color, rank: sourcePiece.rank },
-                  defender: { type: targetPiece.type, color: targetPiece.color, rank: targetPiece.rank }
-                });
-                
-                // Check if capture is valid according to game rules
-                const captureValid = canCapture(sourcePiece, targetPiece);
-                console.log("Capture validity check result:", captureValid);
-                
-                if (captureValid) {
-                  capturedPiece = { ...targetPiece };
-                  gameState.board[data.toRow][data.toCol] = sourcePiece;
-                  gameState.board[data.fromRow][data.fromCol] = null;
-                  moveValid = true;
-                } else {
-                  console.log("Capture rejected: Invalid by rank comparison");
-                }
-              }
-            }
-          }
-        }
-      }
-      
-      // Only emit the move to all players if it was valid
-      if (moveValid) {
-        console.log("Move validated successfully");
-        
-        // First update the game state - increment turn and switch player
-        gameState.turnCount++;
-        
-        // Toggle to the other player's turn
-        const otherPlayerId = socket.id === gameState.player1 ? gameState.player2 : gameState.player1;
-        gameState.playerTurn = otherPlayerId;
-        
-        // Set current player color based on whose turn it is next
-        const nextPlayerColor = playerColors.get(otherPlayerId);
-        gameState.currentPlayer = nextPlayerColor;
-        
-        console.log("Turn switched to:", {
-          player: otherPlayerId,
-          color: nextPlayerColor,
-          player1Id: gameState.player1,
-          player1Color: playerColors.get(gameState.player1),
-          player2Id: gameState.player2,
-          player2Color: playerColors.get(gameState.player2)
-        });
-
-        // Then emit the move event with the updated player turn
-        io.to(room).emit('move', {
-          fromRow: data.fromRow,
-          fromCol: data.fromCol,
-          toRow: data.toRow,
-          toCol: data.toCol,
-          playerId: socket.id,
-          player: socket.data.playerNumber,
-          gameType: GAME_TYPE,
-          result: { 
-            valid: true, 
-            firstPiece: firstPiece,
-            currentPlayer: gameState.currentPlayer,
-            capturedPiece: capturedPiece,
-            playerTurn: gameState.playerTurn // Include updated player turn
-          }
-        });
-        
-        // Then emit the full game state update with the new turn information
-        io.to(room).emit('gameStateUpdate', {
-          board: gameState.board,
-          currentPlayer: gameState.currentPlayer,
-          playerTurn: gameState.playerTurn
-        });
-      }
+    const { history } = gameState;
+    const lastOwnMove = history.map(entry => entry.playerId).lastIndexOf(playerId);
+    if (lastOwnMove === -1) return refuse('You have no move to take back');
+    
+    const plies = history.length - lastOwnMove;
+    gameState.pendingUndo = { requestedBy: playerId, plies };
+    io.to(room).emit('undoRequested', { requestedBy: playerId, plies });
+    
+    // The computer always agrees
+    if (gameState.ai) {
+      answerUndo(room, gameState, true);
     }
   });
+  
+  // The opponent's answer to a takeback request
+  socket.on('respondUndo', (data = {}) => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId || !gameState.pendingUndo || gameState.result) return;
+    if (gameState.pendingUndo.requestedBy === playerId) return; // only the opponent answers
+    
+    answerUndo(room, gameState, Boolean(data.accept));
+  });
 
-  socket.on('reset', (data = {}) => {
-    if (!room) return;
+  // Offer the opponent a draw. The offer stands until they answer or move.
+  socket.on('offerDraw', () => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId) return;
     
-    // Reset Banqi game state
-    if (banqiGames.has(room)) {
-      const gameState = banqiGames.get(room);
-      
-      // Reset player color assignments for this room
-      const player1Id = gameState.player1;
-      const player2Id = gameState.player2;
-      if (player1Id && playerColors.has(player1Id)) {
-        playerColors.delete(player1Id);
-      }
-      if (player2Id && playerColors.has(player2Id)) {
-        playerColors.delete(player2Id);
-      }
-      
-      // Re-generate a fresh board
-      gameState.board = generateBanqiBoard();
-      gameState.firstPieceRevealed = false;
-      gameState.firstPieceColor = null;
-      gameState.firstRevealPlayerId = null;
-      gameState.currentPlayer = null;
-      gameState.turnCount = 0;
-      gameState.revealedPieces = {};
-      // Randomly assign next starting player
-      gameState.playerTurn = Math.random() < 0.5 ? gameState.player1 : gameState.player2;
-      
-      console.log('Game reset, player colors cleared');
-    }
+    const refuse = (message) => socket.emit('drawDeclined', { reason: 'invalid', message });
+    if (gameState.result) return refuse('The game is over');
+    if (!gameState.player2) return refuse('There is no opponent yet');
+    if (gameState.pendingDraw) return refuse('A draw offer is already waiting for an answer');
     
-    io.to(room).emit('reset', { gameType: GAME_TYPE });
+    gameState.pendingDraw = { offeredBy: playerId };
+    io.to(room).emit('drawOffered', { offeredBy: playerId });
     
-    // Send the updated game state after reset
-    if (banqiGames.has(room)) {
-      const gameState = banqiGames.get(room);
-      io.to(room).emit('gameStateUpdate', {
-        board: gameState.board,
-        currentPlayer: gameState.currentPlayer,
-        playerTurn: gameState.playerTurn
-      });
+    // The computer takes a draw unless it is ahead on material
+    if (gameState.ai) {
+      const color = gameState.colors[gameState.ai.playerId];
+      answerDraw(room, gameState, acceptsDraw({ color, captured: gameState.capturedPieces }));
     }
   });
+  
+  // The opponent's answer to a draw offer
+  const respondDraw = (accept) => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId || !gameState.pendingDraw || gameState.result) return;
+    if (gameState.pendingDraw.offeredBy === playerId) return; // only the opponent answers
+    
+    answerDraw(room, gameState, accept);
+  };
+  socket.on('acceptDraw', () => respondDraw(true));
+  socket.on('declineDraw', () => respondDraw(false));
 
-  socket.on('disconnect', () => {
-    if (!room) return;
+  // Send back the game in Banqi notation. The layout gives away every
+  // face-down piece, so only finished games can be downloaded.
+  socket.on('exportGame', () => {
+    const gameState = room && banqiGames.get(room);
+    if (!gameState) return;
+    if (!gameState.result) {
+      sendError(socket, 'GAME_NOT_OVER', 'A game can only be downloaded once it is over.');
+      return;
+    }
+    socket.emit('gameExported', { filename: `banqi-${room}.txt`, text: exportRecord(gameState) });
+  });
+  
+  // Concede the game in progress
+  socket.on('resign', () => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId || gameState.result) return;
+    if (!gameState.player2) return; // nobody to concede to yet
     
-    // Notify remaining player that opponent left
-    io.to(room).emit('opponentLeft');
-    io.to(room).emit('reset');
+    gameLog(room).info('Player resigned', { player: playerId });
+    forfeitGame(room, gameState, playerId, 'resigned');
+  });
+  
+  // Ask to play again once the game is over. Nothing changes until the
+  // opponent agrees.
+  socket.on('requestRematch', () => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId) return;
     
-    // Clean up player color assignments
-    if (playerColors.has(socket.id)) {
-      console.log(`Cleaning up player color: ${socket.id} -> ${playerColors.get(socket.id)}`);
-      playerColors.delete(socket.id);
+    const refuse = (message) => socket.emit('rematchDeclined', { reason: 'invalid', message });
+    if (!gameState.result) return refuse('The game is still being played');
+    if (!gameState.player2) return refuse('Your opponent has left');
+    if (gameState.pendingRematch) {
+      if (gameState.pendingRematch.requestedBy === playerId) return refuse('Your request is waiting for an answer');
+      return answerRematch(room, gameState, true); // both asked, so both agree
     }
     
-    // Clean up game if this was the creator
-    const gameInfo = activeGames.get(room);
-    if (gameInfo && gameInfo.creator === socket.id) {
-      activeGames.delete(room);
-      
-      // Clean up Banqi game state if applicable
-      if (banqiGames.has(room)) {
-        banqiGames.delete(room);
-      }
+    gameState.pendingRematch = { requestedBy: playerId };
+    io.to(room).emit('rematchRequested', { requestedBy: playerId });
+    
+    // The computer is always up for another game
+    if (gameState.ai) {
+      answerRematch(room, gameState, true);
     }
   });
   
-  // Get list of available games
-  socket.on('getAvailableGames', () => {
-    const availableGames = [];
-    
-    for (const [code, info] of activeGames.entries()) {
-      const clients = io.sockets.adapter.rooms.get(code);
-      if (clients && clients.size === 1) {
-        availableGames.push({
-          code: code,
-          createdAt: info.createdAt
-        });
-      }
+  // The opponent's answer to a rematch request
+  const respondRematch = (accept) => {
+    const { playerId } = socket.data;
+    const gameState = room && banqiGames.get(room);
+    if (!gameState || !playerId || !gameState.pendingRematch) return;
+    if (gameState.pendingRematch.requestedBy === playerId) return; // only the opponent answers
+    
+    answerRematch(room, gameState, accept);
+  };
+  socket.on('acceptRematch', () => respondRematch(true));
+  socket.on('declineRematch', () => respondRematch(false));
+  
+  // Chat: { text } or { emote }. Players talk on the players' channel, which
+  // spectators can read; spectators talk among themselves.
+  socket.on('chatMessage', (data = {}) => {
+    const gameState = room && banqiGames.get(room);
+    if (!gameState) return;
+    const channel = socket.data.playerId ? 'players' : socket.data.spectating ? 'spectators' : null;
+    if (!channel) return;
+    
+    if (!chatLimiter.allow(clientKey(socket))) {
+      sendError(socket, 'RATE_LIMITED', 'You are sending messages too quickly. Wait a few seconds.', 'chatError');
+      return;
+    }
+    const text = messageText(data);
+    if (!text) {
+      if (data.emote !== undefined) sendError(socket, 'UNKNOWN_EMOTE', 'Unknown emote.', 'chatError');
+      else sendError(socket, 'INVALID_MESSAGE', `Messages must be 1-${MAX_MESSAGE_LENGTH} characters.`, 'chatError');
+      return;
     }
     
-    socket.emit('availableGames', availableGames);
+    const message = {
+      from: socket.data.playerId || null,
+      name: socket.data.account || null,
+      text,
+      emote: data.emote !== undefined,
+      at: Date.now()
+    };
+    addMessage(gameState.chat, channel, message);
+    sendChat(room, gameState, channel, message);
+    persistGame(room);
+  });
+  
+  // Leave the game for good, without waiting out the reconnect grace period
+  socket.on('leaveGame', () => {
+    const { playerId } = socket.data;
+    if (room && socket.data.spectating) {
+      stopSpectating();
+      return;
+    }
+    if (!room || !playerId) return;
+    
+    const gameCode = room;
+    clearTimeout(disconnectTimers.get(playerId));
+    disconnectTimers.delete(playerId);
+    
+    socket.leave(gameCode);
+    socket.data.playerId = null;
+    room = null;
+    removePlayer(gameCode, playerId);
+  });
+
+  socket.on('disconnect', () => {
+    const { playerId } = socket.data;
+    matchQueue.remove(socket.id);
+    if (room && socket.data.spectating) {
+      emitSpectatorCount(room);
+      return;
+    }
+    if (!room || !playerId || !banqiGames.has(room)) return;
+    
+    // Hold the seat for a while in case this is a refresh or a network blip
+    gameLog(room).info('Player disconnected, holding seat', { player: playerId, graceMs: RECONNECT_GRACE_MS });
+    io.to(room).emit('opponentDisconnected', { graceMs: RECONNECT_GRACE_MS });
+    holdSeat(room, playerId);
+  });
+  
+  // Get list of available games: open ones to join, and every game still
+  // being played to watch
+  socket.on('getAvailableGames', () => {
+    socket.emit('availableGames', listGames());
   });
 });
 
-const PORT = process.env.PORT || 3001;
-httpServer.listen(PORT, () =>
-  console.log(`Banqi game running on http://localhost:${PORT}`)
-);
+// Load the saved accounts and games, then listen on `port` (0 for any free
+// one). Resolves with the port.
+export async function start(port = process.env.PORT || 3001) {
+  logger.info('Loaded accounts', { count: await accounts.load() });
+  await restoreGames();
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, resolve);
+  });
+  const { port: listening } = httpServer.address();
+  logger.info(`Banqi game running on http://localhost:${listening}`);
+  return listening;
+}
+
+// Stop listening, disconnect everyone and drop the timers, so the process can
+// exit. Games stay as they were saved.
+export async function stop() {
+  await new Promise(resolve => {
+    io.close(() => resolve());
+    httpServer.closeAllConnections(); // bots' long polls too
+  });
+  // Disconnecting held the players' seats; nobody is coming back
+  for (const timers of [disconnectTimers, clockTimers]) {
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await start();
+}
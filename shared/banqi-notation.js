@@ -0,0 +1,170 @@
+// Banqi game notation
+// A plain-text record of a whole game, for archiving matches and attaching to
+// bug reports. It looks like this:
+//
+//   [Event "Banqi"]
+//   [Seed "tournament-1"]
+//   [Result "red"]
+//   [Layout "CHsneGaS/.../.../..."]
+//
+//   1. c2 2. d3 3. c2-c3 4. d3xc3
+//
+// Tags are [Name "value"] lines. Only Layout is required: the starting
+// position, every piece included even though it starts face-down, as four
+// rows of eight letters from the top row down, separated by "/". Uppercase is
+// red and lowercase black, using the letters shown on the board (G A E C H N
+// S); "." is an empty square. A Rules tag lists the house rules that differ
+// from the standard game, e.g. "chainedCaptures=on soldierCapturesGeneral=off"
+// (see RULE_VARIANTS).
+//
+// Moves follow as numbered plies. A lone square flips the piece there,
+// "a1-a2" moves and "a1xa2" captures. Squares are named as in squareName().
+import {
+  ROWS,
+  COLS,
+  PIECE_TYPES,
+  DEFAULT_RULES,
+  squareName,
+  isOnBoard,
+  isReveal,
+  replayMoves
+} from './banqi-rules.js';
+
+export const PIECE_LETTERS = {
+  GENERAL: 'G',
+  ADVISOR: 'A',
+  ELEPHANT: 'E',
+  CHARIOT: 'C',
+  HORSE: 'H',
+  CANNON: 'N',
+  SOLDIER: 'S'
+};
+
+const LETTER_TYPES = Object.fromEntries(
+  Object.entries(PIECE_LETTERS).map(([type, letter]) => [letter, type])
+);
+
+// Inverse of squareName: 'c2' -> [1, 2]
+export function parseSquare(name) {
+  const match = /^([a-h])([1-4])$/.exec(name);
+  if (!match) throw new Error(`"${name}" is not a square`);
+  const row = Number(match[2]) - 1;
+  const col = match[1].charCodeAt(0) - 'a'.charCodeAt(0);
+  if (!isOnBoard(row, col)) throw new Error(`"${name}" is not a square`);
+  return [row, col];
+}
+
+export function formatMove(move) {
+  const from = squareName(move.fromRow, move.fromCol);
+  if (isReveal(move)) return from;
+  const to = squareName(move.toRow, move.toCol);
+  return `${from}${move.type === 'capture' ? 'x' : '-'}${to}`;
+}
+
+// Parse one ply. Captures and plain moves are told apart by the separator
+// only; whether the move is legal is checked when the game is replayed.
+export function parseMove(text) {
+  const match = /^([a-h][1-4])(?:([-x])([a-h][1-4]))?$/.exec(text);
+  if (!match) throw new Error(`"${text}" is not a move`);
+  const [fromRow, fromCol] = parseSquare(match[1]);
+  if (!match[2]) return { fromRow, fromCol, toRow: fromRow, toCol: fromCol };
+  const [toRow, toCol] = parseSquare(match[3]);
+  return { fromRow, fromCol, toRow, toCol };
+}
+
+// A board's pieces as layout text, ignoring which are face-up
+export function formatLayout(board) {
+  return board.map(row => row.map(piece => {
+    if (!piece) return '.';
+    const letter = PIECE_LETTERS[piece.type];
+    return piece.color === 'red' ? letter : letter.toLowerCase();
+  }).join('')).join('/');
+}
+
+// Layout text back to a board with every piece face-down
+export function parseLayout(text) {
+  const rows = text.split('/');
+  if (rows.length !== ROWS || rows.some(row => row.length !== COLS)) {
+    throw new Error(`Layout must be ${ROWS} rows of ${COLS} squares`);
+  }
+  return rows.map(row => [...row].map(letter => {
+    if (letter === '.') return null;
+    const type = LETTER_TYPES[letter.toUpperCase()];
+    if (!type) throw new Error(`Unknown piece letter "${letter}" in layout`);
+    const color = letter === letter.toUpperCase() ? 'red' : 'black';
+    return { type, color, rank: PIECE_TYPES[type].rank, faceUp: false };
+  }));
+}
+
+// The Rules tag value for a ruleset, or null for the standard game
+export function formatRules(rules) {
+  const changed = Object.keys(DEFAULT_RULES)
+    .filter(key => rules[key] !== undefined && rules[key] !== DEFAULT_RULES[key])
+    .map(key => `${key}=${rules[key] ? 'on' : 'off'}`);
+  return changed.length > 0 ? changed.join(' ') : null;
+}
+
+export function parseRules(text) {
+  const rules = { ...DEFAULT_RULES };
+  for (const setting of text.split(/\s+/).filter(Boolean)) {
+    const match = /^(\w+)=(on|off)$/.exec(setting);
+    if (!match || !(match[1] in DEFAULT_RULES)) throw new Error(`Unknown rule "${setting}"`);
+    rules[match[1]] = match[2] === 'on';
+  }
+  return rules;
+}
+
+// Write a game out. `tags` is a plain object of extra tags (Seed, Result...);
+// `moves` are the plies in order, each with its `type`.
+export function formatGame({ initialBoard, moves, rules = DEFAULT_RULES, tags = {} }) {
+  const lines = [];
+  for (const [name, value] of Object.entries({ Event: 'Banqi', ...tags, Rules: formatRules(rules) })) {
+    if (value === undefined || value === null) continue;
+    lines.push(`[${name} "${String(value).replace(/["\\]/g, '\\$&')}"]`);
+  }
+  lines.push(`[Layout "${formatLayout(initialBoard)}"]`);
+  lines.push('');
+
+  // Ten plies to a line keeps long games readable
+  const plies = moves.map((move, i) => `${i + 1}. ${formatMove(move)}`);
+  for (let i = 0; i < plies.length; i += 10) {
+    lines.push(plies.slice(i, i + 10).join(' '));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Read a game back. Returns { tags, rules, initialBoard, moves } where each
+// move carries its `type`; throws with a readable message if the text is
+// malformed or a move is illegal.
+export function parseGame(text) {
+  const tags = {};
+  const moveText = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const tag = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(trimmed);
+    if (tag) {
+      tags[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+    } else if (trimmed.startsWith('[')) {
+      throw new Error(`Malformed tag: ${trimmed}`);
+    } else {
+      moveText.push(trimmed);
+    }
+  }
+  if (!tags.Layout) throw new Error('Missing Layout tag');
+
+  const initialBoard = parseLayout(tags.Layout);
+  const rules = parseRules(tags.Rules || '');
+  const tokens = moveText.join(' ').split(/\s+/).filter(token => token && !/^\d+\.$/.test(token));
+  const moves = tokens.map(parseMove);
+
+  // Replaying checks every move and tells us which were captures
+  const { played } = replayMoves(initialBoard, moves, rules);
+  moves.forEach((move, i) => {
+    move.type = played[i].type;
+    if (tokens[i].includes('x') !== (move.type === 'capture')) {
+      throw new Error(`Move ${i + 1} (${tokens[i]}) is marked as the wrong kind of move`);
+    }
+  });
+  return { tags, rules, initialBoard, moves };
+}
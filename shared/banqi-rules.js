@@ -0,0 +1,425 @@
+// Banqi rules engine
+// Pure functions shared by the server (move validation) and the browser (move
+// highlighting), so the two can never disagree about what is legal.
+// Nothing in here touches sockets, the DOM, logging or any global state.
+//
+// A board is a 4×8 array of squares. A square is null (empty) or a piece
+// { type, color, rank, faceUp }. Boards sent to the browser are redacted, so a
+// face-down square may only be { faceUp: false } – the rules below never need
+// to know what is under a face-down piece.
+//
+// A move is { fromRow, fromCol, toRow, toCol }. A reveal is a "move" whose
+// source and destination are the same face-down square.
+//
+// House rules are passed as a `rules` object (see RULE_VARIANTS); leaving it
+// out plays the standard game.
+
+export const ROWS = 4;
+export const COLS = 8;
+
+export const PIECE_TYPES = {
+  GENERAL: { rank: 7, count: 1 },
+  ADVISOR: { rank: 6, count: 2 },
+  ELEPHANT: { rank: 5, count: 2 },
+  CHARIOT: { rank: 4, count: 2 },
+  HORSE: { rank: 3, count: 2 },
+  CANNON: { rank: 2, count: 2 },
+  SOLDIER: { rank: 1, count: 5 }
+};
+
+export const COLORS = ['red', 'black'];
+
+// Optional rules a game can be created with. Each is on or off; `default` is
+// the standard game.
+export const RULE_VARIANTS = {
+  chainedCaptures: {
+    default: false,
+    name: 'Chained captures',
+    description: 'A piece that captures must keep capturing while it can, all in one turn'
+  },
+  slidingChariot: {
+    default: false,
+    name: 'Sliding chariots',
+    description: 'Chariots move and capture any distance along an empty line'
+  },
+  cannonOutranksHorse: {
+    default: false,
+    name: 'Cannons outrank horses',
+    description: 'Cannons rank above horses instead of below them'
+  },
+  soldierCapturesGeneral: {
+    default: true,
+    name: 'Soldiers capture generals',
+    description: 'Soldiers can take the general, and the general cannot take soldiers'
+  },
+  cannonCapturesFaceDown: {
+    default: false,
+    name: 'Cannons capture face-down pieces',
+    description: 'Cannons may jump onto a face-down piece and capture it, whoever it belongs to'
+  }
+};
+
+export const DEFAULT_RULES = Object.fromEntries(
+  Object.entries(RULE_VARIANTS).map(([key, variant]) => [key, variant.default])
+);
+
+// A complete ruleset from a partial or untrusted one: every known rule that
+// isn't given as true/false keeps its default, and unknown keys are dropped
+export function normalizeRules(requested) {
+  const rules = { ...DEFAULT_RULES };
+  if (!requested || typeof requested !== 'object') return rules;
+  for (const key of Object.keys(rules)) {
+    if (typeof requested[key] === 'boolean') rules[key] = requested[key];
+  }
+  return rules;
+}
+
+// Capture rank of a piece under a ruleset
+export function rankOf(piece, rules = DEFAULT_RULES) {
+  if (rules.cannonOutranksHorse) {
+    if (piece.type === 'CANNON') return PIECE_TYPES.HORSE.rank;
+    if (piece.type === 'HORSE') return PIECE_TYPES.CANNON.rank;
+  }
+  return PIECE_TYPES[piece.type].rank;
+}
+
+// Up, right, down, left
+const DIRECTIONS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
+export function oppositeColor(color) {
+  return color === 'red' ? 'black' : 'red';
+}
+
+export function isOnBoard(row, col) {
+  return Number.isInteger(row) && Number.isInteger(col) &&
+    row >= 0 && row < ROWS && col >= 0 && col < COLS;
+}
+
+// Human-readable square name: columns a-h from the left, rows 1-4 from the top
+export function squareName(row, col) {
+  return `${'abcdefgh'[col]}${row + 1}`;
+}
+
+export function isReveal(move) {
+  return move.fromRow === move.toRow && move.fromCol === move.toCol;
+}
+
+// Seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+// The same seed, string or number, always yields the same sequence.
+export function createRandom(seed) {
+  // FNV-1a hash of the seed's text form gives the 32-bit starting state
+  let state = 2166136261;
+  for (const ch of String(seed)) {
+    state ^= ch.codePointAt(0);
+    state = Math.imul(state, 16777619);
+  }
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// All 32 pieces, unshuffled: red first, then black
+export function createPieceSet() {
+  const pieces = [];
+  for (const color of COLORS) {
+    for (const type in PIECE_TYPES) {
+      for (let i = 0; i < PIECE_TYPES[type].count; i++) {
+        pieces.push({ type, color, rank: PIECE_TYPES[type].rank });
+      }
+    }
+  }
+  return pieces;
+}
+
+// A fresh shuffled board with every piece face-down.
+// `random` returns floats in [0, 1), like Math.random.
+export function generateBoard(random = Math.random) {
+  const pieces = createPieceSet();
+  // Fisher-Yates shuffle
+  for (let i = pieces.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
+  }
+  const board = [];
+  let idx = 0;
+  for (let r = 0; r < ROWS; r++) {
+    const row = [];
+    for (let c = 0; c < COLS; c++) {
+      row.push({ ...pieces[idx++], faceUp: false });
+    }
+    board.push(row);
+  }
+  return board;
+}
+
+// Deal a game from a seed: the shuffled board plus which seat (1 or 2) moves
+// first. The same seed always deals the same game.
+export function dealGame(seed) {
+  const random = createRandom(seed);
+  const board = generateBoard(random);
+  const firstSeat = random() < 0.5 ? 1 : 2;
+  return { board, firstSeat };
+}
+
+export function cloneBoard(board) {
+  return board.map(row => row.map(piece => (piece ? { ...piece } : null)));
+}
+
+// A board as a player sees it: face-down squares only say that they are
+// face-down, and the piece's identity comes out with the move that flips it
+export function redactBoard(board) {
+  return board.map(row =>
+    row.map(piece => (piece && !piece.faceUp ? { faceUp: false } : piece))
+  );
+}
+
+// Rank-based capture between two face-up pieces. Cannons don't capture by
+// rank; getPieceMoves checks their captures with cannonCanCapture.
+export function canCapture(attacker, defender, rules = DEFAULT_RULES) {
+  if (!attacker || !defender) return false;
+  if (attacker.color === defender.color) return false;
+
+  // Soldier / General special rule
+  if (rules.soldierCapturesGeneral) {
+    if (attacker.type === 'SOLDIER' && defender.type === 'GENERAL') return true;
+    if (attacker.type === 'GENERAL' && defender.type === 'SOLDIER') return false;
+  }
+
+  // Higher or equal rank captures lower or equal rank
+  return rankOf(attacker, rules) >= rankOf(defender, rules);
+}
+
+// Whether the cannon on (fromRow, fromCol) can capture on (toRow, toCol):
+// along the same row or column, jumping exactly one screen piece (face-up or
+// face-down), onto an opposing face-up piece, or onto any face-down piece
+// under the cannonCapturesFaceDown house rule
+export function cannonCanCapture(board, fromRow, fromCol, toRow, toCol, rules = DEFAULT_RULES) {
+  const cannon = board[fromRow][fromCol];
+  const target = board[toRow][toCol];
+  if (!cannon || !target) return false;
+  if (fromRow !== toRow && fromCol !== toCol) return false; // must be orthogonal
+  let screens = 0;
+  if (fromRow === toRow) {
+    const dir = toCol > fromCol ? 1 : -1;
+    for (let c = fromCol + dir; c !== toCol; c += dir) {
+      if (board[fromRow][c]) screens++;
+    }
+  } else {
+    const dir = toRow > fromRow ? 1 : -1;
+    for (let r = fromRow + dir; r !== toRow; r += dir) {
+      if (board[r][fromCol]) screens++;
+    }
+  }
+  if (screens !== 1) return false;
+  return target.faceUp ? target.color !== cannon.color : rules.cannonCapturesFaceDown;
+}
+
+// Destinations for the face-up piece on (row, col), in the shape the client
+// highlights: plain steps and captures as [row, col] pairs
+export function getPieceMoves(board, row, col, rules = DEFAULT_RULES) {
+  const validMoves = [];
+  const captureableMoves = [];
+  const piece = board[row][col];
+  if (!piece || !piece.faceUp) return { validMoves, captureableMoves };
+
+  // Sliding chariots run along each line until the first piece
+  const reach = piece.type === 'CHARIOT' && rules.slidingChariot ? Math.max(ROWS, COLS) : 1;
+  for (const [dr, dc] of DIRECTIONS) {
+    for (let r = row + dr, c = col + dc, step = 1; step <= reach && isOnBoard(r, c); r += dr, c += dc, step++) {
+      const target = board[r][c];
+      if (!target) {
+        validMoves.push([r, c]);
+        continue;
+      }
+      if (piece.type !== 'CANNON' && target.faceUp && canCapture(piece, target, rules)) {
+        captureableMoves.push([r, c]);
+      }
+      break;
+    }
+  }
+
+  if (piece.type === 'CANNON') {
+    for (const [dr, dc] of DIRECTIONS) {
+      for (let r = row + dr, c = col + dc; isOnBoard(r, c); r += dr, c += dc) {
+        if (cannonCanCapture(board, row, col, r, c, rules)) captureableMoves.push([r, c]);
+      }
+    }
+  }
+
+  return { validMoves, captureableMoves };
+}
+
+// Every legal move for `color`: reveals of any face-down piece plus steps and
+// captures of that color's face-up pieces. Each move carries a `type` of
+// 'reveal', 'move' or 'capture'. In the middle of a chain of captures
+// (`chain` is the capturing piece's [row, col]) only its captures are legal.
+export function getLegalMoves(board, color, rules = DEFAULT_RULES, chain = null) {
+  if (chain) {
+    const [row, col] = chain;
+    return getPieceMoves(board, row, col, rules).captureableMoves
+      .map(([toRow, toCol]) => ({ fromRow: row, fromCol: col, toRow, toCol, type: 'capture' }));
+  }
+
+  const moves = [];
+  for (let r = 0; r < ROWS; r++) {
+    for (let c = 0; c < COLS; c++) {
+      const piece = board[r][c];
+      if (!piece) continue;
+      if (!piece.faceUp) {
+        moves.push({ fromRow: r, fromCol: c, toRow: r, toCol: c, type: 'reveal' });
+        continue;
+      }
+      if (piece.color !== color) continue;
+      const { validMoves, captureableMoves } = getPieceMoves(board, r, c, rules);
+      for (const [toRow, toCol] of validMoves) {
+        moves.push({ fromRow: r, fromCol: c, toRow, toCol, type: 'move' });
+      }
+      for (const [toRow, toCol] of captureableMoves) {
+        moves.push({ fromRow: r, fromCol: c, toRow, toCol, type: 'capture' });
+      }
+    }
+  }
+  return moves;
+}
+
+// Check a move for the player of `color` (null before colors are assigned).
+// Returns { valid: true, type } or { valid: false, message }.
+export function validateMove(board, move, color, rules = DEFAULT_RULES, chain = null) {
+  const { fromRow, fromCol, toRow, toCol } = move;
+  if (!isOnBoard(fromRow, fromCol) || !isOnBoard(toRow, toCol)) {
+    return { valid: false, message: 'Square is off the board' };
+  }
+
+  const piece = board[fromRow][fromCol];
+  if (!piece) return { valid: false, message: 'There is no piece on that square' };
+
+  if (chain) {
+    const capture = getLegalMoves(board, color, rules, chain)
+      .some(m => m.fromRow === fromRow && m.fromCol === fromCol && m.toRow === toRow && m.toCol === toCol);
+    if (capture) return { valid: true, type: 'capture' };
+    return { valid: false, message: 'The piece that just captured must capture again' };
+  }
+
+  if (isReveal(move)) {
+    if (piece.faceUp) return { valid: false, message: 'Piece is already face-up' };
+    return { valid: true, type: 'reveal' };
+  }
+
+  if (!piece.faceUp || piece.color !== color) {
+    return { valid: false, message: 'You can only move your own face-up pieces' };
+  }
+
+  const { validMoves, captureableMoves } = getPieceMoves(board, fromRow, fromCol, rules);
+  const matches = ([r, c]) => r === toRow && c === toCol;
+  if (validMoves.some(matches)) return { valid: true, type: 'move' };
+  if (captureableMoves.some(matches)) return { valid: true, type: 'capture' };
+
+  const target = board[toRow][toCol];
+  if (!target) {
+    if (piece.type === 'CHARIOT' && rules.slidingChariot) {
+      return { valid: false, message: 'Chariots move in a straight line over empty squares' };
+    }
+    return { valid: false, message: 'Pieces move one square up, down, left or right' };
+  }
+  if (!target.faceUp || target.color === piece.color) {
+    return { valid: false, message: 'You can only capture face-up opposing pieces' };
+  }
+  if (piece.type === 'CANNON') {
+    return { valid: false, message: 'Cannons capture by jumping exactly one piece' };
+  }
+  return { valid: false, message: 'That piece cannot capture the target' };
+}
+
+// Apply an already validated move. Returns a new board plus what the move
+// flipped or captured; the input board is left untouched.
+export function applyMove(board, move) {
+  const next = cloneBoard(board);
+  const { fromRow, fromCol, toRow, toCol } = move;
+
+  if (isReveal(move)) {
+    next[toRow][toCol].faceUp = true;
+    const { type, color, rank } = next[toRow][toCol];
+    return { board: next, revealedPiece: { type, color, rank }, capturedPiece: null };
+  }
+
+  const capturedPiece = next[toRow][toCol];
+  next[toRow][toCol] = next[fromRow][fromCol];
+  next[fromRow][fromCol] = null;
+  return { board: next, revealedPiece: null, capturedPiece };
+}
+
+// Play a move for the side to move. `turn` is the color to move, or null
+// before the first reveal, when whoever flips first takes that piece's color.
+// `chain` is the square of a piece in the middle of chained captures.
+// Returns { valid: false, message } or { valid: true, type, board, mover,
+// turn, chain, firstPiece, revealedPiece, capturedPiece } where `mover` is the
+// color that just played, `turn` the color to move next and `chain` set when
+// the mover keeps the turn to capture again.
+export function playMove(board, turn, move, rules = DEFAULT_RULES, chain = null) {
+  const check = validateMove(board, move, turn, rules, chain);
+  if (!check.valid) return check;
+
+  const outcome = applyMove(board, move);
+  const isFirstReveal = !turn && check.type === 'reveal';
+  const mover = isFirstReveal ? outcome.revealedPiece.color : turn;
+
+  let nextChain = null;
+  if (rules.chainedCaptures && check.type === 'capture' &&
+      getPieceMoves(outcome.board, move.toRow, move.toCol, rules).captureableMoves.length > 0) {
+    nextChain = [move.toRow, move.toCol];
+  }
+
+  return {
+    valid: true,
+    type: check.type,
+    ...outcome,
+    mover,
+    turn: nextChain ? mover : oppositeColor(mover),
+    chain: nextChain,
+    firstPiece: isFirstReveal ? { color: mover } : null
+  };
+}
+
+// Replay moves from a starting board (with every piece known). Returns the
+// final board, the color to move, any capture chain in progress and each
+// move's playMove result; throws if a move is illegal.
+export function replayMoves(initialBoard, moves, rules = DEFAULT_RULES) {
+  let board = initialBoard;
+  let turn = null;
+  let chain = null;
+  const played = [];
+  for (const move of moves) {
+    const outcome = playMove(board, turn, move, rules, chain);
+    if (!outcome.valid) {
+      throw new Error(`Move ${played.length + 1} is illegal: ${outcome.message}`);
+    }
+    played.push(outcome);
+    board = outcome.board;
+    turn = outcome.turn;
+    chain = outcome.chain;
+  }
+  return { board, turn, chain, played };
+}
+
+// A position for repetition counting: each face-up piece, the squares still
+// face-down, whose turn it is and any capture chain in progress. Flips and
+// captures can't be undone, so positions only repeat between them.
+export function positionKey(board, turn, chain = null) {
+  const squares = board.map(row => row.map(piece => {
+    if (!piece) return '.';
+    return piece.faceUp ? `${piece.color}:${piece.type}` : '?';
+  }).join(',')).join('/');
+  return `${squares} ${turn || '-'}${chain ? ` ${chain.join(',')}` : ''}`;
+}
+
+// Terminal check: has the player about to move as `color` lost? Returns the
+// reason ('noPieces' or 'noMoves') or null while the game goes on.
+export function getLossReason(board, color, rules = DEFAULT_RULES) {
+  if (!color) return null; // colors are not assigned before the first reveal
+  const hasPieces = board.some(row => row.some(piece => piece && piece.color === color));
+  if (!hasPieces) return 'noPieces';
+  return getLegalMoves(board, color, rules).length > 0 ? null : 'noMoves';
+}
@@ -0,0 +1,65 @@
+// Player account tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage } from '../lib/storage.js';
+import { createAccounts, checkUsername, checkPassword } from '../lib/accounts.js';
+
+test('checkUsername / checkPassword: reject unusable names and passwords', () => {
+  assert.equal(checkUsername('mei_lin-2'), null);
+  assert.match(checkUsername('ab'), /3-20/);
+  assert.match(checkUsername('has space'), /3-20/);
+  assert.match(checkUsername(undefined), /3-20/);
+  assert.equal(checkPassword('hunter22'), null);
+  assert.match(checkPassword('short'), /6-128/);
+});
+
+test('accounts: register, sign in with the password, resume with the token', async () => {
+  const accounts = createAccounts(createMemoryStorage());
+  const { username, token } = await accounts.register('Alice', 'correct horse');
+  assert.equal(username, 'Alice');
+  assert.equal(accounts.resume(token), 'Alice');
+
+  await assert.rejects(accounts.register('alice', 'another one'), /taken/);
+  await assert.rejects(accounts.register('al', 'another one'), { code: 'INVALID_USERNAME' });
+  await assert.rejects(accounts.login('alice', 'wrong password'), /Wrong username or password/);
+  await assert.rejects(accounts.login('alice', 'wrong password'), { code: 'LOGIN_FAILED' });
+  await assert.rejects(accounts.login('nobody', 'correct horse'), /Wrong username or password/);
+
+  const again = await accounts.login('ALICE', 'correct horse');
+  assert.equal(again.username, 'Alice');
+  assert.notEqual(again.token, token);
+
+  accounts.logout(token);
+  assert.equal(accounts.resume(token), null);
+  assert.equal(accounts.resume(again.token), 'Alice');
+});
+
+test('accounts: games and sign-ins survive a reload from storage', async () => {
+  const storage = createMemoryStorage();
+  const accounts = createAccounts(storage);
+  const { token } = await accounts.register('bob', 'secret pw');
+  accounts.recordGame('bob', { code: 'g1', opponent: 'Alice', result: 'win', reason: 'noPieces' });
+  accounts.recordGame('bob', { code: 'g2', opponent: null, result: 'draw', reason: 'agreement' });
+  await new Promise(resolve => setImmediate(resolve)); // saves run in the background
+
+  const reloaded = createAccounts(storage);
+  assert.equal(await reloaded.load(), 1);
+  assert.equal(reloaded.resume(token), 'bob');
+  assert.deepEqual(reloaded.recentGames('bob').map(game => game.code), ['g2', 'g1']);
+  assert.equal((await reloaded.login('bob', 'secret pw')).username, 'bob');
+});
+
+test('accounts: rated results move ratings and fill the leaderboard', async () => {
+  const accounts = createAccounts(createMemoryStorage());
+  await accounts.register('carol', 'secret pw');
+  await accounts.register('dave', 'secret pw');
+  await accounts.register('erin', 'secret pw');
+  assert.deepEqual(accounts.leaderboard(), []);
+
+  accounts.recordRating('carol', 1216, 'win');
+  accounts.recordRating('dave', 1184, 'loss');
+  assert.deepEqual(accounts.stats('carol'), { username: 'carol', rating: 1216, wins: 1, losses: 0, draws: 0 });
+  assert.deepEqual(accounts.leaderboard().map(player => player.username), ['carol', 'dave']);
+  assert.deepEqual(accounts.leaderboard(1).map(player => player.username), ['carol']);
+  assert.equal(accounts.stats('nobody'), null);
+});
@@ -0,0 +1,77 @@
+// Computer opponent tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, getLegalMoves, validateMove, redactBoard } from '../shared/banqi-rules.js';
+import { chooseMove, unrevealedPool, acceptsDraw } from '../lib/ai.js';
+import { board } from './fixtures.js';
+
+const sameSquare = (m, [fromRow, fromCol, toRow, toCol]) =>
+  m.fromRow === fromRow && m.fromCol === fromCol && m.toRow === toRow && m.toCol === toCol;
+
+test('unrevealedPool: full set minus face-up and captured pieces', () => {
+  const b = board(
+    'rG ?bS . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .'
+  );
+  const pool = unrevealedPool(redactBoard(b), [{ type: 'SOLDIER', color: 'black', rank: 1 }]);
+  const count = (color, type) => pool.find(p => p.color === color && p.type === type)?.count || 0;
+  assert.equal(count('red', 'GENERAL'), 0);
+  assert.equal(count('black', 'SOLDIER'), 4);
+  assert.equal(pool.reduce((sum, p) => sum + p.count, 0), 30);
+});
+
+test('every difficulty picks a legal move', () => {
+  const b = redactBoard(board(
+    'rC ?bS .  bH . . . .',
+    '.  rN  ?rA . . . . .',
+    'bS .   .  . . . . .',
+    '.  .   .  . . . . rS'
+  ));
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    const m = chooseMove({ board: b, color: 'red', difficulty, random: createRandom(difficulty) });
+    assert.equal(validateMove(b, m, 'red').valid, true, difficulty);
+  }
+});
+
+test('before the first reveal the computer flips a piece', () => {
+  const b = redactBoard(board(
+    '?rC ?bS . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .'
+  ));
+  assert.equal(chooseMove({ board: b, color: null, difficulty: 'hard' }).type, 'reveal');
+});
+
+test('medium takes the most valuable capture', () => {
+  const b = board(
+    'bS rC bH . . . . .',
+    '.  bC .  . . . . .',
+    '.  .  .  . . . . .',
+    '.  .  .  . . . . .'
+  );
+  const m = chooseMove({ board: b, color: 'red', difficulty: 'medium', random: createRandom(1) });
+  assert.ok(sameSquare(m, [0, 1, 1, 1]));
+});
+
+test('hard does not trade its advisor for a soldier guarded by a general', () => {
+  // Taking the soldier at (0,1) lets the general recapture; stepping down is safe
+  const b = board(
+    'rA bS bG . . . . .',
+    '.  .  .  . . . . .',
+    '.  .  .  . . . . .',
+    '.  .  .  . . . . bS'
+  );
+  const m = chooseMove({ board: b, color: 'red', difficulty: 'hard', random: createRandom(2) });
+  assert.ok(!sameSquare(m, [0, 0, 0, 1]));
+  assert.ok(getLegalMoves(b, 'red').some(legal => sameSquare(legal, [m.fromRow, m.fromCol, m.toRow, m.toCol])));
+});
+
+test('acceptsDraw: takes a draw unless ahead on material', () => {
+  const lost = (color, type) => ({ color, type });
+  assert.equal(acceptsDraw({ color: 'red', captured: [] }), true);
+  assert.equal(acceptsDraw({ color: 'red', captured: [lost('black', 'CHARIOT')] }), false);
+  assert.equal(acceptsDraw({ color: 'red', captured: [lost('black', 'SOLDIER'), lost('red', 'ADVISOR')] }), true);
+});
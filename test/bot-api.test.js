@@ -0,0 +1,135 @@
+// Bot API tests (bots/README.md), against the real server
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './server-helpers.js';
+
+const url = await startServer();
+
+// One request; answers { status, body }
+async function call(method, path, { token, body } = {}) {
+  const response = await fetch(`${url}/api/bot${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+async function signUp(username) {
+  const { status, body } = await call('POST', '/register', { body: { username, password: 'secret pw' } });
+  assert.equal(status, 200);
+  return body.token;
+}
+
+// Two bots seated in a new game: { code, mover, waiter } with mover the one
+// whose turn it is
+async function startGame(names) {
+  const [first, second] = await Promise.all(names.map(signUp));
+  const opened = await call('POST', '/games', { token: first, body: {} });
+  assert.equal(opened.status, 201);
+  const joined = await call('POST', `/games/${opened.body.code}/join`, { token: second });
+  assert.equal(joined.status, 200);
+  return joined.body.yourTurn
+    ? { code: opened.body.code, mover: second, waiter: first }
+    : { code: opened.body.code, mover: first, waiter: second };
+}
+
+test('bot API: everything but signing in needs a token', async () => {
+  const token = await signUp('tokenbot');
+  assert.equal((await call('POST', '/login', { body: { username: 'tokenbot', password: 'secret pw' } })).status, 200);
+
+  const wrongPassword = await call('POST', '/login', { body: { username: 'tokenbot', password: 'not it' } });
+  assert.equal(wrongPassword.status, 401);
+  assert.equal(wrongPassword.body.code, 'LOGIN_FAILED');
+  assert.equal((await call('POST', '/register', { body: { username: 'tokenbot', password: 'secret pw' } })).status, 409);
+
+  for (const badToken of [undefined, 'not-a-token']) {
+    const refused = await call('POST', '/games', { token: badToken, body: {} });
+    assert.equal(refused.status, 401);
+    assert.equal(refused.body.code, 'SIGN_IN_REQUIRED');
+  }
+  assert.equal((await call('POST', '/games', { token, body: {} })).status, 201);
+});
+
+test('bot API: rated games are dealt from a random seed', async () => {
+  const token = await signUp('seedbot');
+  const seeded = await call('POST', '/games', { token, body: { rated: true, seed: 'known deal' } });
+  assert.equal(seeded.status, 400);
+  assert.equal(seeded.body.code, 'INVALID_REQUEST');
+  assert.equal((await call('POST', '/games', { token, body: { seed: 'known deal' } })).status, 201);
+});
+
+test('bot API: join a game, and leave it', async () => {
+  const [creator, joiner, late] = await Promise.all(['seatbot1', 'seatbot2', 'seatbot3'].map(signUp));
+  const opened = await call('POST', '/games', { token: creator, body: {} });
+  assert.equal(opened.body.playerNumber, 1);
+  assert.equal(opened.body.players.length, 1);
+  assert.equal(opened.body.yourTurn, false);
+  const { code } = opened.body;
+
+  assert.equal((await call('POST', `/games/${code}/join`, { token: creator })).body.code, 'ALREADY_PLAYING');
+  const joined = await call('POST', `/games/${code}/join`, { token: joiner });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.playerNumber, 2);
+  assert.deepEqual(joined.body.players.map(p => p.name), ['seatbot1', 'seatbot2']);
+
+  const full = await call('POST', `/games/${code}/join`, { token: late });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.code, 'GAME_FULL');
+  assert.equal((await call('POST', '/games/ZZZZZZ/join', { token: late })).status, 404);
+
+  assert.equal((await call('POST', `/games/${code}/leave`, { token: joiner })).status, 204);
+  const gone = await call('GET', `/games/${code}`, { token: joiner });
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.code, 'NOT_PLAYING');
+  assert.equal((await call('GET', `/games/${code}`, { token: creator })).body.players.length, 1);
+
+  // The seat is open again
+  assert.equal((await call('POST', `/games/${code}/join`, { token: late })).status, 200);
+});
+
+test('bot API: a long poll answers when the opponent moves, or when it runs out', async () => {
+  const { code, mover, waiter } = await startGame(['pollbot1', 'pollbot2']);
+
+  let started = Date.now();
+  const poll = call('GET', `/games/${code}?wait=10`, { token: waiter });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const { legalMoves } = (await call('GET', `/games/${code}`, { token: mover })).body;
+  assert.equal((await call('POST', `/games/${code}/move`, { token: mover, body: legalMoves[0] })).status, 200);
+  const woken = await poll;
+  assert.equal(woken.body.yourTurn, true);
+  assert.equal(woken.body.history.length, 1);
+  assert.ok(Date.now() - started < 5000, 'the poll should end with the move, not the wait');
+
+  // Nothing happens while the other bot thinks: the poll ends with the wait
+  started = Date.now();
+  const timedOut = await call('GET', `/games/${code}?wait=1`, { token: mover });
+  assert.ok(Date.now() - started >= 900);
+  assert.equal(timedOut.status, 200);
+  assert.equal(timedOut.body.yourTurn, false);
+  assert.equal(timedOut.body.history.length, 1);
+});
+
+test('bot API: refused moves are 400s and change nothing', async () => {
+  const { code, mover, waiter } = await startGame(['movebot1', 'movebot2']);
+
+  const offTurn = await call('POST', `/games/${code}/move`, { token: waiter, body: { fromRow: 0, fromCol: 0, toRow: 0, toCol: 0 } });
+  assert.equal(offTurn.status, 400);
+  assert.deepEqual(offTurn.body, { code: 'ILLEGAL_MOVE', message: 'Not your turn' });
+
+  // Every piece starts face-down, and face-down pieces don't move
+  const illegal = await call('POST', `/games/${code}/move`, { token: mover, body: { fromRow: 0, fromCol: 0, toRow: 0, toCol: 1 } });
+  assert.equal(illegal.status, 400);
+  assert.equal(illegal.body.code, 'ILLEGAL_MOVE');
+
+  const malformed = await call('POST', `/games/${code}/move`, { token: mover, body: { fromRow: 'a' } });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, 'INVALID_REQUEST');
+
+  const unchanged = await call('GET', `/games/${code}`, { token: mover });
+  assert.equal(unchanged.body.history.length, 0);
+  assert.equal(unchanged.body.yourTurn, true);
+});
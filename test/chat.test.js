@@ -0,0 +1,53 @@
+// Chat and rate limiter tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChat, addMessage, messageText, EMOTES, MAX_MESSAGE_LENGTH } from '../lib/chat.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+test('messageText: trims text, rejects empty, long and unknown messages', () => {
+  assert.equal(messageText({ text: '  nice one \n' }), 'nice one');
+  assert.equal(messageText({ text: 'a\u0007b' }), 'a b');
+  assert.equal(messageText({ text: '   ' }), null);
+  assert.equal(messageText({ text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }), null);
+  assert.equal(messageText({ text: 42 }), null);
+  assert.equal(messageText(null), null);
+  assert.equal(messageText({ emote: 'goodGame' }), EMOTES.goodGame);
+  assert.equal(messageText({ emote: 'toString' }), null);
+});
+
+test('addMessage: channels are separate and keep only recent history', () => {
+  const chat = createChat();
+  for (let i = 0; i < 150; i++) addMessage(chat, 'players', { text: String(i) });
+  addMessage(chat, 'spectators', { text: 'psst' });
+  assert.equal(chat.players.length, 100);
+  assert.equal(chat.players[0].text, '50');
+  assert.deepEqual(chat.spectators, [{ text: 'psst' }]);
+});
+
+test('createRateLimiter: at most `limit` actions per window, per key', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.allow('a', 0), true);
+  assert.equal(limiter.allow('a', 100), true);
+  assert.equal(limiter.allow('a', 200), false);
+  assert.equal(limiter.allow('b', 200), true);
+  assert.equal(limiter.allow('a', 1000), true); // the first action has left the window
+  limiter.forget('a');
+  assert.equal(limiter.allow('a', 1001), true);
+});
+
+test('createRateLimiter: check looks without counting', () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+  assert.equal(limiter.check('a', 0), true);
+  assert.equal(limiter.check('a', 0), true);
+  assert.equal(limiter.allow('a', 0), true);
+  assert.equal(limiter.check('a', 500), false);
+});
+
+test('createRateLimiter: idle keys are dropped, busy ones kept', () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 1000 });
+  assert.equal(limiter.allow('a', 0), true);
+  assert.equal(limiter.allow('b', 500), true);
+  assert.equal(limiter.allow('c', 1000), true); // 'a' has nothing left in its window
+  assert.equal(limiter.allow('b', 1200), false);
+  assert.equal(limiter.allow('a', 1200), true);
+});
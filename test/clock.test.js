@@ -0,0 +1,48 @@
+// Game clock tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTimeControl,
+  createClock,
+  timeLeft,
+  startTurn,
+  stopClock,
+  addIncrement,
+  clockSnapshot
+} from '../lib/clock.js';
+
+test('parseTimeControl: accepts the two kinds, rejects nonsense', () => {
+  assert.deepEqual(parseTimeControl({ baseMinutes: 3, incrementSeconds: 2 }), { type: 'fischer', baseMs: 180000, incrementMs: 2000 });
+  assert.deepEqual(parseTimeControl({ secondsPerMove: 30 }), { type: 'perMove', perMoveMs: 30000 });
+  assert.equal(parseTimeControl(null), null);
+  assert.equal(parseTimeControl({ baseMinutes: -1 }), null);
+  assert.equal(parseTimeControl({ baseMinutes: 'lots' }), null);
+  assert.equal(parseTimeControl({ secondsPerMove: 1 }), null);
+});
+
+test('fischer clock: only the running side is charged, increment after a move', () => {
+  const clock = createClock(parseTimeControl({ baseMinutes: 1, incrementSeconds: 5 }), ['a', 'b']);
+  startTurn(clock, 'a', 1000);
+  assert.equal(timeLeft(clock, 'a', 21000), 40000);
+  assert.equal(timeLeft(clock, 'b', 21000), 60000);
+
+  stopClock(clock, 21000);
+  addIncrement(clock, 'a');
+  startTurn(clock, 'b', 21000);
+  assert.deepEqual(clockSnapshot(clock, 31000), {
+    control: clock.control,
+    remaining: { a: 45000, b: 50000 },
+    running: 'b'
+  });
+  assert.equal(timeLeft(clock, 'b', 999999), 0); // never negative
+});
+
+test('per-move clock: every turn starts with a fresh allowance', () => {
+  const clock = createClock(parseTimeControl({ secondsPerMove: 10 }), ['a', 'b']);
+  startTurn(clock, 'a', 0);
+  stopClock(clock, 8000);
+  addIncrement(clock, 'a');
+  assert.equal(clock.remaining.a, 2000);
+  startTurn(clock, 'a', 8000);
+  assert.equal(timeLeft(clock, 'a', 8000), 10000);
+});
@@ -0,0 +1,24 @@
+// Board fixtures shared by the test files
+import { PIECE_TYPES } from '../shared/banqi-rules.js';
+
+// Letters used in fixtures, as shown on the client's tiles
+const LETTERS = {
+  G: 'GENERAL', A: 'ADVISOR', E: 'ELEPHANT', C: 'CHARIOT', H: 'HORSE', N: 'CANNON', S: 'SOLDIER'
+};
+
+// Build a piece from a fixture token: 'rG' is a face-up red general,
+// '?bS' a face-down black soldier
+export function piece(token) {
+  const faceUp = !token.startsWith('?');
+  const [colorLetter, typeLetter] = faceUp ? token : token.slice(1);
+  const type = LETTERS[typeLetter];
+  return { type, color: colorLetter === 'r' ? 'red' : 'black', rank: PIECE_TYPES[type].rank, faceUp };
+}
+
+// Build a 4×8 board from four rows of eight space-separated tokens ('.' is empty)
+export function board(...rows) {
+  return rows.map(row => row.trim().split(/\s+/).map(token => (token === '.' ? null : piece(token))));
+}
+
+export const move = (fromRow, fromCol, toRow, toCol) => ({ fromRow, fromCol, toRow, toCol });
+export const reveal = (row, col) => move(row, col, row, col);
@@ -0,0 +1,58 @@
+// Logger tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, createLoggerFromEnv } from '../lib/logger.js';
+
+const now = () => new Date('2026-01-02T03:04:05.000Z');
+
+// A logger that keeps its lines
+function capture(options) {
+  const lines = [];
+  const logger = createLogger({ now, write: (line, level) => lines.push({ line, level }), ...options });
+  return { logger, lines };
+}
+
+test('createLogger: entries below the level are dropped', () => {
+  const { logger, lines } = capture({ level: 'warn' });
+  logger.debug('a');
+  logger.info('b');
+  logger.warn('c');
+  logger.error('d');
+  assert.deepEqual(lines.map(({ level }) => level), ['warn', 'error']);
+
+  const silent = capture({ level: 'silent' });
+  silent.logger.error('nothing');
+  assert.equal(silent.lines.length, 0);
+});
+
+test('createLogger: text lines with key=value fields', () => {
+  const { logger, lines } = capture();
+  logger.child({ game: 'ab12cd34' }).info('Player joined', { player: 'p1', note: 'two words', skipped: undefined });
+  assert.equal(lines[0].line, '2026-01-02T03:04:05.000Z INFO  Player joined game=ab12cd34 player=p1 note="two words"');
+});
+
+test('createLogger: JSON lines, errors logged by message', () => {
+  const { logger, lines } = capture({ format: 'json' });
+  logger.child({ game: 'g1' }).error('Could not save game', { err: new Error('disk full') });
+  assert.deepEqual(JSON.parse(lines[0].line), {
+    time: '2026-01-02T03:04:05.000Z',
+    level: 'error',
+    msg: 'Could not save game',
+    game: 'g1',
+    err: 'disk full'
+  });
+});
+
+test('createLoggerFromEnv: LOG_LEVEL and LOG_FORMAT, unknown levels meaning info', () => {
+  const levelsWritten = (env) => {
+    const lines = [];
+    const logger = createLoggerFromEnv(env, { now, write: line => lines.push(line) });
+    logger.debug('d');
+    logger.info('i');
+    return lines;
+  };
+  assert.equal(levelsWritten({}).length, 1);
+  assert.equal(levelsWritten({ LOG_LEVEL: 'loud' }).length, 1);
+  const debug = levelsWritten({ LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'json' });
+  assert.deepEqual(debug.map(line => JSON.parse(line).level), ['debug', 'info']);
+});
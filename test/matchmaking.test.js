@@ -0,0 +1,40 @@
+// Matchmaking queue tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatchQueue, canPair } from '../lib/matchmaking.js';
+
+const blitz = { type: 'fischer', baseMs: 180000, incrementMs: 2000 };
+const player = (id, fields = {}) => ({ id, account: null, rating: 1200, rated: false, timeControl: null, maxRatingGap: null, ...fields });
+
+test('canPair: same kind of game and time control, ratings within both bands', () => {
+  assert.equal(canPair(player('a'), player('b')), true);
+  assert.equal(canPair(player('a', { rated: true }), player('b')), false);
+  assert.equal(canPair(player('a', { timeControl: blitz }), player('b')), false);
+  assert.equal(canPair(player('a', { timeControl: blitz }), player('b', { timeControl: { ...blitz } })), true);
+  assert.equal(canPair(player('a', { rating: 1500, maxRatingGap: 200 }), player('b', { rating: 1300 })), true);
+  assert.equal(canPair(player('a', { rating: 1500 }), player('b', { rating: 1299, maxRatingGap: 200 })), false);
+  assert.equal(canPair(player('a', { account: 'mei' }), player('b', { account: 'mei' })), false);
+});
+
+test('match queue: pairs with the longest-waiting suitable player', () => {
+  const queue = createMatchQueue();
+  assert.equal(queue.enqueue(player('a', { timeControl: blitz })), null);
+  assert.equal(queue.enqueue(player('b')), null);
+  assert.equal(queue.enqueue(player('c')).id, 'b');
+  assert.equal(queue.size, 1);
+  assert.equal(queue.has('a'), true);
+
+  // Queueing again replaces the old entry rather than adding a second one
+  assert.equal(queue.enqueue(player('a')), null);
+  assert.equal(queue.size, 1);
+  assert.equal(queue.enqueue(player('d')).id, 'a');
+  assert.equal(queue.size, 0);
+});
+
+test('match queue: players can leave', () => {
+  const queue = createMatchQueue();
+  queue.enqueue(player('a'));
+  assert.equal(queue.remove('a'), true);
+  assert.equal(queue.remove('a'), false);
+  assert.equal(queue.enqueue(player('b')), null);
+});
@@ -0,0 +1,64 @@
+// Game notation tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dealGame, replayMoves, DEFAULT_RULES } from '../shared/banqi-rules.js';
+import { formatGame, parseGame, parseMove, formatLayout } from '../shared/banqi-notation.js';
+import { board, move, reveal } from './fixtures.js';
+
+test('parseMove: flips, moves and captures', () => {
+  assert.deepEqual(parseMove('c2'), reveal(1, 2));
+  assert.deepEqual(parseMove('c2-c3'), move(1, 2, 2, 2));
+  assert.deepEqual(parseMove('a1xh4'), move(0, 0, 3, 7));
+  assert.throws(() => parseMove('i1'), /not a move/);
+  assert.throws(() => parseMove('a5'), /not a move/);
+});
+
+test('formatGame / parseGame: a game survives the round trip', () => {
+  const { board: deal } = dealGame('notation');
+  const start = board(
+    '?rS ?bS . . . . . .',
+    '?rC .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .'
+  );
+  const moves = [reveal(0, 0), reveal(0, 1), reveal(1, 0), move(0, 1, 0, 0)];
+  const { played } = replayMoves(start, moves);
+  const typed = moves.map((m, i) => ({ ...m, type: played[i].type }));
+
+  const text = formatGame({ initialBoard: start, moves: typed, tags: { Seed: 'say "hi"', Result: '*' } });
+  assert.match(text, /^\[Event "Banqi"\]$/m);
+  assert.match(text, /4\. b1xa1/);
+
+  const parsed = parseGame(text);
+  assert.equal(parsed.tags.Seed, 'say "hi"');
+  assert.equal(formatLayout(parsed.initialBoard), formatLayout(start));
+  assert.deepEqual(parsed.moves, typed);
+  assert.ok(parsed.initialBoard.flat().every(p => !p || !p.faceUp));
+
+  // A full deal has a 32-letter layout
+  assert.equal(formatLayout(deal).replace(/\//g, '').length, 32);
+});
+
+test('parseGame: rejects broken records with a reason', () => {
+  const layout = '[Layout "Ss....../......../......../........"]';
+  assert.throws(() => parseGame('1. a1'), /Missing Layout/);
+  assert.throws(() => parseGame('[Layout "SS"]'), /4 rows of 8/);
+  assert.throws(() => parseGame(`${layout}\n1. a1 2. a1`), /Move 2 is illegal/);
+  assert.throws(() => parseGame(`${layout}\n1. a1 2. b1 3. a1-b1`), /wrong kind of move/);
+});
+
+test('formatGame / parseGame: house rules travel in the Rules tag', () => {
+  const start = board(
+    '?rS ?bS . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .'
+  );
+  const rules = { ...DEFAULT_RULES, chainedCaptures: true, soldierCapturesGeneral: false };
+  const text = formatGame({ initialBoard: start, moves: [], rules });
+  assert.match(text, /^\[Rules "chainedCaptures=on soldierCapturesGeneral=off"\]$/m);
+  assert.deepEqual(parseGame(text).rules, rules);
+
+  assert.doesNotMatch(formatGame({ initialBoard: start, moves: [] }), /Rules/);
+  assert.throws(() => parseGame(text.replace('chainedCaptures', 'flyingGeneral')), /Unknown rule/);
+});
@@ -0,0 +1,19 @@
+// Elo rating tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATING, expectedScore, rateGame } from '../lib/rating.js';
+
+test('expectedScore: even for equal ratings, favours the stronger player', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(expectedScore(1600, 1400) > 0.75);
+  assert.ok(Math.abs(expectedScore(1600, 1400) + expectedScore(1400, 1600) - 1) < 1e-12);
+});
+
+test('rateGame: points change hands, more for an upset', () => {
+  assert.deepEqual(rateGame(DEFAULT_RATING, DEFAULT_RATING, 1), [1216, 1184]);
+  assert.deepEqual(rateGame(DEFAULT_RATING, DEFAULT_RATING, 0.5), [1200, 1200]);
+
+  const [favourite, underdog] = rateGame(1600, 1400, 0);
+  assert.ok(1600 - favourite > 16);
+  assert.equal(favourite + underdog, 3000);
+});
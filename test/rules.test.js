@@ -0,0 +1,303 @@
+// Rules engine tests, driven from fixed board fixtures
+// Run with:  npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRandom,
+  createPieceSet,
+  generateBoard,
+  dealGame,
+  canCapture,
+  getPieceMoves,
+  validateMove,
+  applyMove,
+  playMove,
+  replayMoves,
+  squareName,
+  getLossReason,
+  normalizeRules,
+  positionKey,
+  DEFAULT_RULES
+} from '../shared/banqi-rules.js';
+import { piece, board, move, reveal } from './fixtures.js';
+
+test('canCapture: soldier beats general', () => {
+  assert.equal(canCapture(piece('rS'), piece('bG')), true);
+});
+
+test('canCapture: general cannot take soldier', () => {
+  assert.equal(canCapture(piece('rG'), piece('bS')), false);
+});
+
+test('canCapture: equal ranks capture each other', () => {
+  assert.equal(canCapture(piece('rC'), piece('bC')), true);
+  assert.equal(canCapture(piece('bH'), piece('rH')), true);
+});
+
+test('canCapture: lower rank cannot take higher rank', () => {
+  assert.equal(canCapture(piece('rH'), piece('bC')), false);
+  assert.equal(canCapture(piece('rS'), piece('bA')), false);
+});
+
+test('canCapture: never the same color', () => {
+  assert.equal(canCapture(piece('rG'), piece('rS')), false);
+});
+
+test('cannon captures: need exactly one screen', () => {
+  const b = board(
+    'rN .   rS bS bC . . .',
+    '.  .   .  .  .  . . .',
+    'bH .   .  .  .  . . .',
+    '.  .   .  .  .  . . .'
+  );
+  assert.deepEqual(getPieceMoves(b, 0, 0).captureableMoves, [[0, 3]]);
+  assert.deepEqual(validateMove(b, move(0, 0, 0, 3), 'red'), { valid: true, type: 'capture' }); // one screen (rS)
+  assert.equal(validateMove(b, move(0, 0, 0, 4), 'red').valid, false); // two screens
+  assert.equal(validateMove(b, move(0, 0, 2, 0), 'red').valid, false); // no screen
+  assert.equal(validateMove(b, move(0, 0, 1, 1), 'red').valid, false); // not orthogonal
+});
+
+test('cannon captures: face-down pieces count as screens', () => {
+  const b = board(
+    'rN .   .  .  .  . . .',
+    '?bA .  .  .  .  . . .',
+    'bG .   .  .  .  . . .',
+    '.  .   .  .  .  . . .'
+  );
+  assert.deepEqual(getPieceMoves(b, 0, 0).captureableMoves, [[2, 0]]);
+  assert.deepEqual(validateMove(b, move(0, 0, 2, 0), 'red'), { valid: true, type: 'capture' });
+});
+
+test('cannon moves: steps to empty squares, captures only past a screen', () => {
+  const b = board(
+    '.  .  .  .  .  . . .',
+    '.  bS rN ?rA bG . . .',
+    '.  .  .  .  .  . . .',
+    '.  .  .  .  .  . . .'
+  );
+  const { validMoves, captureableMoves } = getPieceMoves(b, 1, 2);
+  assert.deepEqual(validMoves.sort(), [[0, 2], [2, 2]]);
+  assert.deepEqual(captureableMoves, [[1, 4]]); // adjacent bS cannot be taken
+});
+
+test('cannon cannot capture a face-down target', () => {
+  const b = board(
+    'rN rS ?bG . . . . .',
+    '.  .  .   . . . . .',
+    '.  .  .   . . . . .',
+    '.  .  .   . . . . .'
+  );
+  const result = validateMove(b, move(0, 0, 0, 2), 'red');
+  assert.equal(result.valid, false);
+});
+
+test('validateMove: pieces step one square and capture by rank', () => {
+  const b = board(
+    'rC bH .  . . . . .',
+    'bA .  .  . . . . .',
+    '.  .  .  . . . . .',
+    '.  .  .  . . . . .'
+  );
+  assert.deepEqual(validateMove(b, move(0, 0, 0, 1), 'red'), { valid: true, type: 'capture' });
+  assert.equal(validateMove(b, move(0, 0, 1, 0), 'red').valid, false); // advisor outranks chariot
+  assert.equal(validateMove(b, move(0, 1, 0, 3), 'black').valid, false); // two squares
+  assert.equal(validateMove(b, move(0, 0, 0, 1), 'black').valid, false); // not black's piece
+});
+
+test('first reveal assigns the revealed color to the player who flipped it', () => {
+  const b = board(
+    '?rC ?bH . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .'
+  );
+  const first = playMove(b, null, reveal(0, 1));
+  assert.equal(first.valid, true);
+  assert.deepEqual(first.firstPiece, { color: 'black' });
+  assert.equal(first.mover, 'black');
+  assert.equal(first.turn, 'red');
+  assert.deepEqual(first.revealedPiece, { type: 'HORSE', color: 'black', rank: 3 });
+  assert.equal(b[0][1].faceUp, false); // input board untouched
+
+  const second = playMove(first.board, first.turn, reveal(0, 0));
+  assert.equal(second.firstPiece, null);
+  assert.equal(second.mover, 'red');
+});
+
+test('turns alternate between colors after every move', () => {
+  let b = board(
+    '?rS ?bS ?rS ?bS . . . .',
+    '.   .   .   .   . . . .',
+    '.   .   .   .   . . . .',
+    '.   .   .   .   . . . .'
+  );
+  let turn = null;
+  const movers = [];
+  for (const m of [reveal(0, 0), reveal(0, 1), reveal(0, 2), move(0, 1, 1, 1)]) {
+    const result = playMove(b, turn, m);
+    assert.equal(result.valid, true);
+    movers.push(result.mover);
+    b = result.board;
+    turn = result.turn;
+  }
+  assert.deepEqual(movers, ['red', 'black', 'red', 'black']);
+  assert.equal(turn, 'red');
+});
+
+test('playMove refuses to move the opponent\'s pieces', () => {
+  const b = board(
+    'rS bS . . . . . .',
+    '.  .  . . . . . .',
+    '.  .  . . . . . .',
+    '.  .  . . . . . .'
+  );
+  assert.equal(playMove(b, 'red', move(0, 1, 1, 1)).valid, false);
+});
+
+test('getLossReason: no pieces, no moves, or still playing', () => {
+  const empty = board('. . . . . . . .', '. . . . . . . .', '. . . . . . . .', '. . . . . . . .');
+  assert.equal(getLossReason(empty, 'red'), 'noPieces');
+
+  const blocked = board(
+    'rS bH . . . . . .',
+    'bH .  . . . . . .',
+    '.  .  . . . . . .',
+    '.  .  . . . . . .'
+  );
+  assert.equal(getLossReason(blocked, 'red'), 'noMoves');
+  assert.equal(getLossReason(blocked, 'black'), null);
+
+  const canFlip = board(
+    'rS bH . . . . . .',
+    'bH .  . . . . . ?bS',
+    '.  .  . . . . . .',
+    '.  .  . . . . . .'
+  );
+  assert.equal(getLossReason(canFlip, 'red'), null);
+});
+
+test('createRandom: same seed, same sequence', () => {
+  const a = createRandom('tournament-1');
+  const b = createRandom('tournament-1');
+  const c = createRandom('tournament-2');
+  const seqA = [a(), a(), a()];
+  assert.deepEqual([b(), b(), b()], seqA);
+  assert.notDeepEqual([c(), c(), c()], seqA);
+  assert.ok(seqA.every(x => x >= 0 && x < 1));
+});
+
+test('dealGame: a seed always deals the same board and starting seat', () => {
+  assert.deepEqual(dealGame('same deal'), dealGame('same deal'));
+  assert.deepEqual(dealGame(42), dealGame('42'));
+  assert.notDeepEqual(dealGame('deal a').board, dealGame('deal b').board);
+});
+
+test('generateBoard: deals all 32 pieces face-down', () => {
+  const key = p => `${p.color}-${p.type}`;
+  const dealt = generateBoard(createRandom('pieces')).flat();
+  assert.equal(dealt.length, 32);
+  assert.ok(dealt.every(p => p && !p.faceUp));
+  assert.deepEqual(dealt.map(key).sort(), createPieceSet().map(key).sort());
+});
+
+test('replayMoves: rebuilds the position and refuses illegal moves', () => {
+  const start = board(
+    '?rS ?bS . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .'
+  );
+  const { board: end, turn, played } = replayMoves(start, [reveal(0, 0), reveal(0, 1), move(0, 0, 1, 0)]);
+  assert.equal(turn, 'black');
+  assert.equal(played.length, 3);
+  assert.equal(end[1][0].type, 'SOLDIER');
+  assert.equal(end[0][0], null);
+  assert.throws(() => replayMoves(start, [reveal(0, 0), move(0, 0, 1, 0)]), /Move 2 is illegal/);
+});
+
+test('squareName: columns a-h, rows 1-4', () => {
+  assert.equal(squareName(0, 0), 'a1');
+  assert.equal(squareName(3, 7), 'h4');
+});
+
+test('house rules: unknown and non-boolean settings fall back to the defaults', () => {
+  assert.deepEqual(normalizeRules({ chainedCaptures: true, slidingChariot: 'yes', bogus: true }),
+    { ...DEFAULT_RULES, chainedCaptures: true });
+  assert.deepEqual(normalizeRules(null), DEFAULT_RULES);
+});
+
+test('house rules: capture ranks', () => {
+  const noSoldierUpset = { ...DEFAULT_RULES, soldierCapturesGeneral: false };
+  assert.equal(canCapture(piece('rS'), piece('bG'), noSoldierUpset), false);
+
+  const cannonOverHorse = { ...DEFAULT_RULES, cannonOutranksHorse: true };
+  assert.equal(canCapture(piece('rN'), piece('bH'), cannonOverHorse), true);
+  assert.equal(canCapture(piece('rH'), piece('bN'), cannonOverHorse), false);
+});
+
+test('house rules: a sliding chariot moves along open lines', () => {
+  const b = board(
+    'rC .  .  bS . . . .',
+    '.  .  .  .  . . . .',
+    '.  .  .  .  . . . .',
+    '.  .  .  .  . . . .'
+  );
+  const sliding = { ...DEFAULT_RULES, slidingChariot: true };
+  const { validMoves, captureableMoves } = getPieceMoves(b, 0, 0, sliding);
+  assert.deepEqual(captureableMoves, [[0, 3]]);
+  assert.ok(validMoves.some(([r, c]) => r === 3 && c === 0));
+  assert.ok(!validMoves.some(([r, c]) => r === 0 && c > 3));
+  assert.equal(validateMove(b, move(0, 0, 2, 0), 'red').valid, false);
+});
+
+test('house rules: a cannon may capture a face-down piece', () => {
+  const b = board(
+    'rN rS ?bS . . . . .',
+    '.  .  .   . . . . .',
+    '.  .  .   . . . . .',
+    '.  .  .   . . . . .'
+  );
+  assert.deepEqual(getPieceMoves(b, 0, 0).captureableMoves, []);
+  assert.deepEqual(getPieceMoves(b, 0, 0, { ...DEFAULT_RULES, cannonCapturesFaceDown: true }).captureableMoves, [[0, 2]]);
+});
+
+test('house rules: chained captures keep the turn with the capturing piece', () => {
+  const b = board(
+    'rC bS bS . . . . .',
+    '.  .  rS . . . . .',
+    '.  .  .  . . . . .',
+    '.  .  .  . . . . .'
+  );
+  const chained = { ...DEFAULT_RULES, chainedCaptures: true };
+  const first = playMove(b, 'red', move(0, 0, 0, 1), chained);
+  assert.deepEqual(first.chain, [0, 1]);
+  assert.equal(first.turn, 'red');
+
+  // Only the chained piece may go on, and only by capturing
+  assert.equal(validateMove(first.board, move(1, 2, 0, 2), 'red', chained, first.chain).valid, false);
+  const second = playMove(first.board, first.turn, move(0, 1, 0, 2), chained, first.chain);
+  assert.equal(second.chain, null);
+  assert.equal(second.turn, 'black');
+
+  // Without the house rule the turn passes straight away
+  assert.equal(playMove(b, 'red', move(0, 0, 0, 1)).turn, 'black');
+});
+
+test('positionKey: same pieces and turn, same key; face-down identities do not count', () => {
+  const a = board(
+    'rC ?bS . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .'
+  );
+  const b = board(
+    'rC ?rG . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .',
+    '.  .   . . . . . .'
+  );
+  assert.equal(positionKey(a, 'red'), positionKey(b, 'red'));
+  assert.notEqual(positionKey(a, 'red'), positionKey(a, 'black'));
+  assert.notEqual(positionKey(a, 'red'), positionKey(applyMove(a, move(0, 0, 1, 0)).board, 'red'));
+  assert.notEqual(positionKey(a, 'red'), positionKey(a, 'red', [0, 0]));
+});
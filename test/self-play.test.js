@@ -0,0 +1,85 @@
+// Draw rules and headless self-play tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { playMove } from '../shared/banqi-rules.js';
+import { countPosition, getDrawReason } from '../lib/draws.js';
+import { builtInPlayer, playGame, runTournament, summarize } from '../lib/self-play.js';
+import { board, move } from './fixtures.js';
+
+// Plays whatever legal move comes first
+const firstMove = { name: 'first', chooseMove: view => view.legalMoves[0] };
+
+// Always tries to move an empty corner square
+const cheater = { name: 'cheater', chooseMove: () => move(3, 7, 3, 6) };
+
+test('draws: third repetition, and the move limit without a flip or capture', () => {
+  const state = {
+    board: board(
+      'rC . . . . . . .',
+      '.  . . . . . . .',
+      '.  . . . . . . bC',
+      '.  . . . . . . .'
+    ),
+    currentPlayer: 'red',
+    chain: null,
+    turnCount: 0,
+    moveLimit: 0,
+    lastProgressTurn: 0,
+    positionCounts: {}
+  };
+  const shuffle = [move(0, 0, 0, 1), move(2, 7, 2, 6), move(0, 1, 0, 0), move(2, 6, 2, 7)];
+  const play = (m) => {
+    const outcome = playMove(state.board, state.currentPlayer, m);
+    Object.assign(state, { board: outcome.board, currentPlayer: outcome.turn, turnCount: state.turnCount + 1 });
+    countPosition(state, outcome, state.turnCount);
+  };
+
+  // The starting position isn't counted, only positions moves reach
+  for (const m of [...shuffle, ...shuffle]) play(m);
+  assert.equal(getDrawReason(state), null);
+  for (const m of shuffle) play(m);
+  assert.equal(getDrawReason(state), 'repetition');
+
+  state.positionCounts = {};
+  state.moveLimit = 8;
+  assert.equal(getDrawReason(state), 'moveLimit');
+  state.lastProgressTurn = state.turnCount - 1;
+  assert.equal(getDrawReason(state), null);
+});
+
+test('playGame: a seeded game plays out the same way every time', async () => {
+  const players = [builtInPlayer('easy'), builtInPlayer('medium')];
+  const first = await playGame({ players, seed: 'self-play' });
+  const again = await playGame({ players, seed: 'self-play' });
+  assert.ok(first.plies > 0);
+  assert.ok(['noPieces', 'noMoves', 'repetition', 'moveLimit'].includes(first.reason));
+  assert.deepEqual({ ...again, thinkMs: null }, { ...first, thinkMs: null });
+  assert.equal(first.moves[0] + first.moves[1], first.plies);
+});
+
+test('playGame: an illegal move loses, and long games stop', async () => {
+  const lost = await playGame({ players: [firstMove, cheater], seed: 3, firstSeat: 2 });
+  assert.deepEqual([lost.winner, lost.reason, lost.plies], [0, 'illegalMove', 0]);
+
+  const stopped = await playGame({ players: [firstMove, firstMove], seed: 3, moveLimit: 0, maxPlies: 10 });
+  assert.deepEqual([stopped.winner, stopped.reason, stopped.plies], [null, 'maxPlies', 10]);
+});
+
+test('runTournament: each deal is played from both seats, results in player order', async () => {
+  const seen = [];
+  const results = await runTournament({
+    players: [cheater, firstMove],
+    games: 4,
+    seed: 'cup',
+    onGame: (result, i) => seen.push(i)
+  });
+  assert.deepEqual(seen, [0, 1, 2, 3]);
+  assert.deepEqual(results.map(r => r.seed), ['cup-1', 'cup-1', 'cup-2', 'cup-2']);
+  assert.deepEqual(results.map(r => r.winner), [1, 1, 1, 1]);
+
+  const summary = summarize(results);
+  assert.deepEqual(summary.wins, [0, 4]);
+  assert.equal(summary.draws, 0);
+  assert.deepEqual(summary.reasons, { illegalMove: 4 });
+  assert.equal(summary.games, 4);
+});
@@ -0,0 +1,14 @@
+// The real server, for the test files that talk to it over HTTP or Socket.IO:
+// games and accounts in memory, no logging, any free port, and stopped once
+// the file's tests are done. server.js reads its settings from the
+// environment when it is first imported, so each test file gets one server.
+import { after } from 'node:test';
+
+// Resolves with the server's base URL, e.g. http://localhost:41235
+export async function startServer(env = {}) {
+  Object.assign(process.env, { GAME_STORAGE: 'memory', LOG_LEVEL: 'silent', ...env });
+  const server = await import('../server.js');
+  const port = await server.start(0);
+  after(() => server.stop());
+  return `http://localhost:${port}`;
+}
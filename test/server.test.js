@@ -0,0 +1,543 @@
+// Server tests: browser players over Socket.IO, and the read-only game API
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { io } from 'socket.io-client';
+import { replayMoves, DEFAULT_RULES } from '../shared/banqi-rules.js';
+import { formatGame } from '../shared/banqi-notation.js';
+import { startServer } from './server-helpers.js';
+import { board, move, reveal } from './fixtures.js';
+
+const GRACE_MS = 500;
+const url = await startServer({ RECONNECT_GRACE_MS: String(GRACE_MS) });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A browser tab that doesn't reconnect by itself, so the tests decide
+const connect = () => io(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+
+// The next `event` on a socket, or a failure after five seconds
+function next(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 5000);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// The first `event` on a socket whose payload passes `check`
+function waitFor(socket, event, check) {
+  return new Promise((resolve, reject) => {
+    const listener = payload => {
+      if (!check(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`No matching ${event} event`));
+    }, 5000);
+    socket.on(event, listener);
+  });
+}
+
+const getGame = code => fetch(`${url}/api/games/${code}`).then(response => response.json());
+
+// Two players seated in a new game: { creator, joiner, created, joined }
+async function seatPlayers(options = {}, [creator, joiner] = [connect(), connect()]) {
+  creator.emit('createGame', options);
+  const created = await next(creator, 'gameCreated');
+  joiner.emit('joinGame', { code: created.gameCode });
+  const joined = await next(joiner, 'gameJoined');
+  return { creator, joiner, created, joined };
+}
+
+test('rejoin: a player who drops takes their seat back with their token', async () => {
+  const { creator, joiner, created } = await seatPlayers();
+  const code = created.gameCode;
+
+  const held = next(joiner, 'opponentDisconnected');
+  creator.close();
+  assert.equal((await held).graceMs, GRACE_MS);
+
+  const back = connect();
+  back.emit('rejoinGame', { code, token: 'someone-elses-token' });
+  assert.equal((await next(back, 'rejoinFailed')).code, 'GAME_NOT_FOUND');
+
+  const reconnected = next(joiner, 'opponentReconnected');
+  back.emit('rejoinGame', { code, token: created.sessionToken });
+  const rejoined = await next(back, 'gameRejoined');
+  assert.equal(rejoined.playerId, created.playerId);
+  assert.equal(rejoined.playerNumber, 1);
+  await reconnected;
+
+  // The seat is no longer held on a timer
+  await sleep(GRACE_MS * 2);
+  assert.equal((await getGame(code)).players.length, 2);
+  back.close();
+  joiner.close();
+});
+
+test('rejoin: a seat nobody comes back for is given up after the grace period', async () => {
+  const { creator, joiner, created } = await seatPlayers();
+  creator.close();
+  await next(joiner, 'opponentLeft');
+  assert.equal((await getGame(created.gameCode)).code, 'GAME_NOT_FOUND');
+
+  const late = connect();
+  late.emit('rejoinGame', { code: created.gameCode, token: created.sessionToken });
+  assert.equal((await next(late, 'rejoinFailed')).code, 'GAME_NOT_FOUND');
+  late.close();
+  joiner.close();
+});
+
+// A connected socket signed in to a new account
+async function signUp(username) {
+  const socket = connect();
+  socket.emit('register', { username, password: 'secret pw' });
+  await next(socket, 'accountReady');
+  return socket;
+}
+
+// The player whose turn it is reveals the top-left piece. Answers
+// { mover, other }: the two players' sockets.
+async function revealFirst({ creator, joiner, created }) {
+  const { playerTurn } = await getGame(created.gameCode);
+  const [mover, other] = playerTurn === created.playerId ? [creator, joiner] : [joiner, creator];
+  mover.emit('move', { fromRow: 0, fromCol: 0, toRow: 0, toCol: 0 });
+  assert.equal((await next(mover, 'move')).result.valid, true);
+  return { mover, other };
+}
+
+test('resign: ends a rated game, moves both ratings, and a rematch starts over', async () => {
+  const seated = await seatPlayers({ rated: true }, await Promise.all([signUp('resigner'), signUp('resignee')]));
+  const { creator, joiner, created, joined } = seated;
+  await revealFirst(seated);
+
+  const over = [next(creator, 'gameOver'), next(joiner, 'gameOver')];
+  creator.emit('resign');
+  const [result, seen] = await Promise.all(over);
+  assert.deepEqual(seen, result);
+  assert.equal(result.reason, 'resigned');
+  assert.equal(result.winnerId, joined.playerId);
+  assert.equal(result.loserId, created.playerId);
+  assert.ok(result.ratings[joined.playerId].after > result.ratings[joined.playerId].before);
+  assert.ok(result.ratings[created.playerId].after < result.ratings[created.playerId].before);
+
+  const leaderboard = await fetch(`${url}/leaderboard`).then(response => response.json());
+  assert.deepEqual(leaderboard.map(entry => entry.username), ['resignee', 'resigner']);
+  assert.equal(leaderboard[0].rating, result.ratings[joined.playerId].after);
+
+  const asked = next(creator, 'rematchRequested');
+  joiner.emit('requestRematch');
+  assert.equal((await asked).requestedBy, joined.playerId);
+  const started = next(joiner, 'rematchStarted');
+  creator.emit('acceptRematch');
+  await started;
+  const rematch = await getGame(created.gameCode);
+  assert.equal(rematch.result, null);
+  assert.equal(rematch.history.length, 0);
+  assert.equal(rematch.rated, true);
+  creator.close();
+  joiner.close();
+});
+
+test('resign: walking out of a rated game loses it, and the winner keeps the result', async () => {
+  const seated = await seatPlayers({ rated: true }, await Promise.all([signUp('stayer'), signUp('walker')]));
+  const { creator, joiner, joined } = seated;
+  await revealFirst(seated);
+
+  let reset = false;
+  creator.on('reset', () => { reset = true; });
+  const over = next(creator, 'gameOver');
+  const left = next(creator, 'opponentLeft');
+  joiner.emit('leaveGame');
+  const result = await over;
+  await left;
+  await sleep(100);
+  assert.equal(result.reason, 'abandoned');
+  assert.equal(result.loserId, joined.playerId);
+  assert.ok(result.ratings);
+  assert.equal(reset, false, 'a reset would wipe the result off the winner\'s screen');
+  creator.close();
+  joiner.close();
+});
+
+test('resign: a takeback still waiting for an answer can no longer be accepted', async () => {
+  const seated = await seatPlayers();
+  const { mover, other } = await revealFirst(seated);
+  mover.emit('requestUndo');
+  await next(other, 'undoRequested');
+
+  const over = next(mover, 'gameOver');
+  other.emit('resign');
+  await over;
+  let rolledBack = false;
+  mover.on('undoAccepted', () => { rolledBack = true; });
+  other.emit('respondUndo', { accept: true });
+  await sleep(200);
+
+  const game = await getGame(seated.created.gameCode);
+  assert.equal(rolledBack, false);
+  assert.equal(game.result.reason, 'resigned');
+  assert.equal(game.history.length, 1);
+  assert.equal(game.playerTurn, null);
+  seated.creator.close();
+  seated.joiner.close();
+});
+
+test('resign: a downloaded record of a resigned game loads as finished', async () => {
+  const seated = await seatPlayers();
+  await revealFirst(seated);
+  const over = next(seated.joiner, 'gameOver');
+  seated.joiner.emit('resign');
+  const result = await over;
+  const text = await fetch(`${url}/api/games/${seated.created.gameCode}/export`).then(response => response.text());
+
+  const loader = connect();
+  loader.emit('importGame', { text });
+  const loaded = await next(loader, 'gameCreated');
+  const game = await getGame(loaded.gameCode);
+  assert.equal(game.result.winner, result.winner);
+  assert.equal(game.result.reason, 'resigned');
+  assert.equal(game.playerTurn, null);
+  for (const socket of [seated.creator, seated.joiner, loader]) socket.close();
+});
+
+test('game API: unknown games are 404s, and only finished games download', async () => {
+  for (const path of ['/api/games/NOSUCH', '/api/games/NOSUCH/export']) {
+    const response = await fetch(`${url}${path}`);
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).code, 'GAME_NOT_FOUND');
+  }
+
+  const seated = await seatPlayers();
+  const code = seated.created.gameCode;
+  const listed = await fetch(`${url}/api/games`).then(response => response.json());
+  assert.ok(listed.some(game => game.code === code));
+  const game = await getGame(code);
+  assert.equal(game.players.length, 2);
+  assert.ok(game.board.flat().every(square => square.faceUp === false), 'pieces stay hidden while the game is on');
+
+  const early = await fetch(`${url}/api/games/${code}/export`);
+  assert.equal(early.status, 409);
+  assert.equal((await early.json()).code, 'GAME_NOT_OVER');
+
+  await revealFirst(seated);
+  const over = next(seated.creator, 'gameOver');
+  seated.creator.emit('resign');
+  await over;
+  const record = await fetch(`${url}/api/games/${code}/export`);
+  assert.equal(record.status, 200);
+  assert.match(record.headers.get('content-disposition'), new RegExp(`banqi-${code}\\.txt`));
+  assert.match(await record.text(), /\[Reason "resigned"\]/);
+  seated.creator.close();
+  seated.joiner.close();
+});
+
+// Check that every face-down piece in a payload, wherever it sits, shows
+// nothing but that it is face-down. Answers how many there were.
+function assertHidden(payload) {
+  if (!payload || typeof payload !== 'object') return 0;
+  if (payload.faceUp === false) {
+    assert.deepEqual(payload, { faceUp: false });
+    return 1;
+  }
+  return Object.values(payload).reduce((count, value) => count + assertHidden(value), 0);
+}
+
+test('hidden pieces: game states, moves and the game API never show a face-down piece', async () => {
+  const seated = await seatPlayers();
+  const sent = [];
+  for (const socket of [seated.creator, seated.joiner]) {
+    socket.on('gameStateUpdate', state => sent.push(state));
+    socket.on('move', move => sent.push(move));
+  }
+  const { other } = await revealFirst(seated);
+  other.emit('move', { fromRow: 3, fromCol: 7, toRow: 3, toCol: 7 });
+  await next(other, 'move');
+  await sleep(100);
+
+  assert.ok(sent.some(payload => payload.board), 'some game states were sent');
+  assert.ok(sent.some(payload => payload.result), 'some moves were sent');
+  for (const payload of sent) assertHidden(payload);
+  assert.equal(assertHidden(sent.filter(payload => payload.board).pop()), 30);
+  assert.equal(assertHidden(await getGame(seated.created.gameCode)), 30);
+  seated.creator.close();
+  seated.joiner.close();
+});
+
+test('takeback: accepted, the game goes back to before the requester\'s move', async () => {
+  const seated = await seatPlayers();
+  const { mover, other } = await revealFirst(seated);
+  const moverId = mover === seated.creator ? seated.created.playerId : seated.joined.playerId;
+  other.emit('move', { fromRow: 0, fromCol: 1, toRow: 0, toCol: 1 });
+  await next(other, 'move');
+  assert.ok((await getGame(seated.created.gameCode)).players.every(player => player.color));
+
+  mover.emit('requestUndo');
+  const request = await next(other, 'undoRequested');
+  assert.deepEqual(request, { requestedBy: moverId, plies: 2 });
+  const accepted = next(mover, 'undoAccepted');
+  other.emit('respondUndo', { accept: true });
+  assert.equal((await accepted).plies, 2);
+
+  // Back to the deal: nothing revealed, so nobody has a color yet
+  const game = await getGame(seated.created.gameCode);
+  assert.equal(game.history.length, 0);
+  assert.equal(game.playerTurn, moverId);
+  assert.ok(game.players.every(player => player.color === null));
+  assert.ok(game.board.flat().every(square => square.faceUp === false));
+  seated.creator.close();
+  seated.joiner.close();
+});
+
+test('takeback: declined, or answered with a move, nothing is taken back', async () => {
+  const seated = await seatPlayers();
+  const { mover, other } = await revealFirst(seated);
+  mover.emit('requestUndo');
+  await next(other, 'undoRequested');
+  const declined = next(mover, 'undoDeclined');
+  other.emit('respondUndo', { accept: false });
+  assert.equal((await declined).reason, 'declined');
+
+  mover.emit('requestUndo');
+  await next(other, 'undoRequested');
+  const movedOn = next(mover, 'undoDeclined');
+  other.emit('move', { fromRow: 0, fromCol: 1, toRow: 0, toCol: 1 });
+  assert.equal((await movedOn).reason, 'moved');
+  assert.equal((await getGame(seated.created.gameCode)).history.length, 2);
+  seated.creator.close();
+  seated.joiner.close();
+});
+
+test('takeback: a captured piece comes back and the clock runs for the requester again', async () => {
+  const start = board(
+    '?rC ?bS . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . .',
+    '.   .   . . . . . ?bS'
+  );
+  const moves = [reveal(0, 0), reveal(0, 1)];
+  const { played } = replayMoves(start, moves);
+  const text = formatGame({ initialBoard: start, moves: moves.map((m, i) => ({ ...m, type: played[i].type })) });
+
+  // Seat 1 revealed red; it is red's turn and the chariot takes the soldier
+  const [red, black] = [connect(), connect()];
+  red.emit('importGame', { text, timeControl: { baseMinutes: 5, incrementSeconds: 10 } });
+  const created = await next(red, 'gameCreated');
+  black.emit('joinGame', { code: created.gameCode });
+  await next(black, 'gameJoined');
+  red.emit('move', { fromRow: 0, fromCol: 0, toRow: 0, toCol: 1 });
+  await next(red, 'move');
+  const taken = await getGame(created.gameCode);
+  assert.equal(taken.history[2].capturedPiece.type, 'SOLDIER');
+  assert.notEqual(taken.clock.running, created.playerId);
+
+  red.emit('requestUndo');
+  await next(black, 'undoRequested');
+  const accepted = next(red, 'undoAccepted');
+  black.emit('respondUndo', { accept: true });
+  await accepted;
+
+  const game = await getGame(created.gameCode);
+  assert.equal(game.history.length, 2);
+  assert.deepEqual(game.board[0].slice(0, 2).map(square => square && `${square.color} ${square.type}`), ['red CHARIOT', 'black SOLDIER']);
+  assert.deepEqual(game.players.map(player => player.color), ['red', 'black']);
+  assert.equal(game.playerTurn, created.playerId);
+  assert.equal(game.clock.running, created.playerId);
+  red.close();
+  black.close();
+});
+
+test('takeback: the computer always agrees', async () => {
+  // The computer may move first, before next() would hand over the seat
+  const player = connect();
+  let created = null;
+  player.once('gameCreated', seat => { created = seat; });
+  const myTurn = state => Boolean(created) && state.playerTurn === created.playerId;
+  const ready = waitFor(player, 'gameStateUpdate', myTurn);
+  player.emit('createGame', { vsComputer: true, difficulty: 'easy' });
+  const before = await ready;
+
+  // Reveal any face-down piece, then wait for the computer's answer
+  const square = before.board.flat().findIndex(piece => piece && !piece.faceUp);
+  const answered = waitFor(player, 'gameStateUpdate', state => myTurn(state) && state.history.length > before.history.length);
+  player.emit('move', { fromRow: Math.floor(square / 8), fromCol: square % 8, toRow: Math.floor(square / 8), toCol: square % 8 });
+  const after = await answered;
+
+  const accepted = next(player, 'undoAccepted');
+  player.emit('requestUndo');
+  assert.equal((await accepted).plies, after.history.length - before.history.length);
+  const game = await getGame(created.gameCode);
+  assert.equal(game.history.length, before.history.length);
+  assert.equal(game.playerTurn, created.playerId);
+  player.close();
+});
+
+test('import: a chained capture is credited to the player who made it', async () => {
+  const start = board(
+    '. ?rC ?bS ?bS . . . .',
+    '. .   .   .   . . . .',
+    '. .   .   .   . . . .',
+    '. .   .   .   . . . ?bS'
+  );
+  const rules = { ...DEFAULT_RULES, chainedCaptures: true };
+  const moves = [reveal(0, 1), reveal(0, 2), reveal(0, 3), reveal(3, 7), move(0, 1, 0, 2), move(0, 2, 0, 3)];
+  const { played } = replayMoves(start, moves, rules);
+  const text = formatGame({ initialBoard: start, moves: moves.map((m, i) => ({ ...m, type: played[i].type })), rules });
+
+  const [creator, joiner] = [connect(), connect()];
+  creator.emit('importGame', { text });
+  const created = await next(creator, 'gameCreated');
+  joiner.emit('joinGame', { code: created.gameCode });
+  const joined = await next(joiner, 'gameJoined');
+
+  // Red (seat 1) captured twice in a row; black (seat 2) is to move
+  const game = await getGame(created.gameCode);
+  assert.deepEqual(game.history.map(entry => entry.playerId), [
+    created.playerId, joined.playerId, created.playerId, joined.playerId, created.playerId, created.playerId
+  ]);
+  assert.equal(game.currentPlayer, 'black');
+  assert.equal(game.playerTurn, joined.playerId);
+  assert.deepEqual(game.players.map(player => player.color), ['red', 'black']);
+
+  creator.emit('move', { fromRow: 0, fromCol: 3, toRow: 1, toCol: 3 });
+  assert.equal((await next(creator, 'move')).result.message, 'Not your turn');
+  creator.close();
+  joiner.close();
+});
+
+test('rate limits: guests from the same address each have their own', async () => {
+  // Every test client connects from localhost, as guests do through a tunnel
+  const { creator, joiner } = await seatPlayers();
+  for (let i = 0; i < 5; i++) creator.emit('chatMessage', { text: `hello ${i}` });
+  creator.emit('chatMessage', { text: 'one too many' });
+  assert.equal((await next(creator, 'chatError')).code, 'RATE_LIMITED');
+  const heard = next(creator, 'chat');
+  joiner.emit('chatMessage', { text: 'hi' });
+  assert.equal((await heard).message.text, 'hi');
+
+  const busy = connect();
+  for (let i = 0; i < 10; i++) {
+    busy.emit('createGame', {});
+    await next(busy, 'gameCreated');
+    busy.emit('leaveGame');
+  }
+  busy.emit('createGame', {});
+  assert.equal((await next(busy, 'error')).code, 'TOO_MANY_GAMES');
+  const other = connect();
+  other.emit('createGame', {});
+  await next(other, 'gameCreated');
+  for (const socket of [creator, joiner, busy, other]) socket.close();
+});
+
+// A new connection watching `code`
+async function watch(code) {
+  const socket = connect();
+  socket.emit('spectateGame', { code });
+  await next(socket, 'spectating');
+  return socket;
+}
+
+// The next spectator count a socket is told, once it is `count`
+const counted = (socket, count) => waitFor(socket, 'spectatorCount', data => data.count === count);
+
+test('spectators: counted while watching, not once they leave, drop out or take a seat', async () => {
+  const { creator, joiner, created } = await seatPlayers();
+  const code = created.gameCode;
+
+  let count = counted(creator, 1);
+  const first = await watch(code);
+  await count;
+  count = counted(creator, 2);
+  const second = await watch(code);
+  await count;
+  assert.equal((await getGame(code)).spectators, 2);
+
+  count = counted(creator, 1);
+  second.emit('leaveGame');
+  await count;
+  count = counted(creator, 0);
+  first.close();
+  await count;
+
+  // Creating a game, joining one or watching another ends the watching
+  const creating = await watch(code);
+  count = counted(creator, 0);
+  creating.emit('createGame', {});
+  await next(creating, 'gameCreated');
+  await count;
+
+  const open = connect();
+  open.emit('createGame', {});
+  const openGame = await next(open, 'gameCreated');
+  const joining = await watch(openGame.gameCode);
+  joining.emit('joinGame', { code: openGame.gameCode });
+  await next(joining, 'gameJoined');
+  assert.equal((await getGame(openGame.gameCode)).spectators, 0);
+
+  const switching = await watch(code);
+  count = counted(creator, 0);
+  switching.emit('spectateGame', { code: openGame.gameCode });
+  await count;
+  assert.equal((await getGame(openGame.gameCode)).spectators, 1);
+  for (const socket of [creator, joiner, second, creating, open, joining, switching]) socket.close();
+});
+
+test('spectators: watch without a seat, and without seeing face-down pieces', async () => {
+  const seated = await seatPlayers();
+  const code = seated.created.gameCode;
+  const watcher = connect();
+  const states = [];
+  watcher.on('gameStateUpdate', state => states.push(state));
+  watcher.emit('spectateGame', { code });
+  const watching = await next(watcher, 'spectating');
+  assert.equal(watching.playerId, undefined);
+  assert.equal(watching.sessionToken, undefined);
+
+  // Nothing a spectator sends can change the game
+  watcher.emit('move', { fromRow: 0, fromCol: 0, toRow: 0, toCol: 0 });
+  watcher.emit('resign');
+  watcher.emit('requestUndo');
+  watcher.emit('offerDraw');
+  await sleep(200);
+  const game = await getGame(code);
+  assert.equal(game.history.length, 0);
+  assert.equal(game.result, null);
+
+  // It sees the players' moves as the players do, face-down pieces hidden
+  await revealFirst(seated);
+  await waitFor(watcher, 'gameStateUpdate', state => state.history.length === 1);
+  watcher.emit('syncGame');
+  await waitFor(watcher, 'gameStateUpdate', () => true);
+  assert.ok(states.length >= 2);
+  for (const state of states) assertHidden(state);
+  assert.equal(assertHidden(states[states.length - 1]), 31);
+  for (const socket of [seated.creator, seated.joiner, watcher]) socket.close();
+});
+
+test('spectators: players only read the spectators\' chat once the game is over', async () => {
+  const seated = await seatPlayers();
+  const { creator, joiner } = seated;
+  const watcher = await watch(seated.created.gameCode);
+  const playersHeard = [];
+  for (const player of [creator, joiner]) player.on('chat', ({ channel }) => playersHeard.push(channel));
+
+  const echoed = next(watcher, 'chat');
+  watcher.emit('chatMessage', { text: 'psst' });
+  assert.deepEqual(await echoed.then(({ channel, message }) => [channel, message.text]), ['spectators', 'psst']);
+  const overheard = next(watcher, 'chat');
+  creator.emit('chatMessage', { text: 'good luck' });
+  assert.equal((await overheard).channel, 'players');
+  await sleep(100);
+  assert.deepEqual(playersHeard, ['players', 'players']);
+
+  await revealFirst(seated);
+  const history = waitFor(joiner, 'chatHistory', chat => chat.spectators.length > 0);
+  creator.emit('resign');
+  assert.deepEqual((await history).spectators.map(message => message.text), ['psst']);
+  for (const socket of [creator, joiner, watcher]) socket.close();
+});
@@ -0,0 +1,45 @@
+// Game storage backend tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createFileStorage, createMemoryStorage } from '../lib/storage.js';
+
+const record = (code, turnCount) => ({ code, state: { turnCount, board: [[null]] } });
+
+for (const [name, makeStorage] of [
+  ['memory', async () => ({ storage: createMemoryStorage(), cleanup: async () => {} })],
+  ['file', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'banqi-storage-'));
+    return { storage: createFileStorage(dir), cleanup: () => rm(dir, { recursive: true, force: true }) };
+  }]
+]) {
+  test(`${name} storage: saves, replaces and removes games`, async () => {
+    const { storage, cleanup } = await makeStorage();
+    try {
+      await storage.save('abc', record('abc', 1));
+      await storage.save('def', record('def', 1));
+      await storage.save('abc', record('abc', 2));
+      await storage.remove('def');
+      assert.deepEqual(await storage.load(), [record('abc', 2)]);
+    } finally {
+      await cleanup();
+    }
+  });
+}
+
+test('file storage: the last queued save wins and no temp files are left', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'banqi-storage-'));
+  try {
+    const storage = createFileStorage(dir);
+    await Promise.all([1, 2, 3, 4, 5].map(n => storage.save('abc', record('abc', n))));
+    assert.deepEqual(await storage.load(), [record('abc', 5)]);
+    assert.deepEqual(await readdir(dir), ['abc.json']);
+
+    // A fresh backend on the same directory sees the same games, as after a restart
+    assert.deepEqual(await createFileStorage(dir).load(), [record('abc', 5)]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+// Socket event validation tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload } from '../lib/validation.js';
+
+test('validatePayload: moves must stay on the board', () => {
+  assert.equal(validatePayload('move', { fromRow: 0, fromCol: 7, toRow: 1, toCol: 7 }), null);
+  for (const move of [
+    { fromRow: 4, fromCol: 0, toRow: 3, toCol: 0 },
+    { fromRow: 0, fromCol: -1, toRow: 0, toCol: 0 },
+    { fromRow: '0', fromCol: 0, toRow: 0, toCol: 0 },
+    { fromRow: 0.5, fromCol: 0, toRow: 0, toCol: 0 },
+    { fromRow: 0, fromCol: 0, toRow: 0 },
+    null,
+    [0, 0, 0, 0]
+  ]) {
+    assert.equal(validatePayload('move', move)?.code, 'INVALID_REQUEST', JSON.stringify(move));
+  }
+  assert.match(validatePayload('move', { fromRow: 9, fromCol: 0, toRow: 0, toCol: 0 }).message, /fromRow must be a whole number from 0 to 3/);
+});
+
+test('validatePayload: game codes as a string or { code }', () => {
+  assert.equal(validatePayload('joinGame', 'ab12cd34'), null);
+  assert.equal(validatePayload('joinGame', { code: 'ab12cd34', gameType: 'banqi' }), null);
+  assert.equal(validatePayload('joinGame', undefined).code, 'INVALID_REQUEST');
+  assert.equal(validatePayload('joinGame', { code: { $ne: null } }).code, 'INVALID_REQUEST');
+  assert.equal(validatePayload('spectateGame', '../../etc').code, 'INVALID_REQUEST');
+});
+
+test('validatePayload: game options are type-checked, nested fields named', () => {
+  assert.equal(validatePayload('createGame', {
+    gameType: 'banqi',
+    timeControl: { baseMinutes: 5, incrementSeconds: 0 },
+    rules: { chainedCaptures: true },
+    moveLimit: 100,
+    rated: false
+  }), null);
+  assert.equal(validatePayload('createGame', { seed: 42, timeControl: null }), null);
+  assert.match(validatePayload('createGame', { rules: { chainedCaptures: 'yes' } }).message, /rules\.chainedCaptures/);
+  assert.match(validatePayload('createGame', { timeControl: { baseMinutes: '5' } }).message, /timeControl\.baseMinutes/);
+  assert.match(validatePayload('importGame', {}).message, /text/);
+});
+
+test('validatePayload: events without a payload, and unknown events', () => {
+  assert.equal(validatePayload('resign'), null);
+  assert.equal(validatePayload('getAvailableGames', {}), null);
+  assert.equal(validatePayload('resign', 'now').code, 'INVALID_REQUEST');
+  assert.equal(validatePayload('reset').code, 'UNKNOWN_EVENT');
+  assert.equal(validatePayload('__proto__', {}).code, 'UNKNOWN_EVENT');
+});